@@ -0,0 +1,275 @@
+const statisticalDetector = require('./statistical_detector');
+const httpClient = require('./http_client');
+
+// Detector registry. Each detector declares:
+//   name         - key used in ensemble specs and in ai_detection.detectors
+//   cost         - relative cost per call (0 = local, 1 = one unit of remote API quota)
+//   languages    - ISO 639-1 codes it gives meaningful scores for
+//   isAvailable  - whether it can be called right now
+//   detect(text) - resolves to { ai_probability, classification, confidence, ... }
+//                  and throws on failure; the ensemble decides what to do with errors
+
+const AI_THRESHOLD = 0.5;
+
+// Classifications that carry no usable AI probability: too little text,
+// every detector failed, or none supports the language
+const UNSCORED_CLASSIFICATIONS = ['insufficient_text', 'error', 'unsupported_language'];
+
+const classify = (probability) => (probability > AI_THRESHOLD ? 'ai' : 'human');
+
+const round = (value, digits = 3) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// GPTZero Free API (no key required). Rate limits and outages are retried
+// by the shared client; while its circuit is open the ensemble scores with
+// the remaining detectors.
+const gptzeroHttp = httpClient.createClient('gptzero', {
+  timeoutMs: parseInt(process.env.GPTZERO_TIMEOUT_MS, 10) || 30000
+});
+
+const gptzero = {
+  name: 'gptzero',
+  cost: 1,
+  // The free endpoint is trained on English text
+  languages: ['en'],
+
+  isAvailable: async () => gptzeroHttp.isAvailable(),
+
+  detect: async (text, { signal, language } = {}) => {
+    let response;
+    try {
+      response = await gptzeroHttp.post(
+        'https://api.gptzero.me/v2/predict/text',
+        {
+          document: text,
+          language: language || 'en'
+        },
+        {
+          headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'YouTube-Analysis-Service/1.0'
+          },
+          signal
+        }
+      );
+    } catch (error) {
+      if (error.response?.status === 429) {
+        throw new Error('GPTZero rate limit reached');
+      }
+      throw new Error(`GPTZero request failed: ${error.response?.status || error.message}`);
+    }
+
+    const document = response.data.documents?.[0];
+    if (!document) {
+      throw new Error('GPTZero response contained no document scores');
+    }
+
+    return {
+      ai_probability: document.average_generated_prob || 0,
+      classification: document.completely_generated_prob > 0.5 ? 'ai' : 'human',
+      confidence: document.confidence || 0.8,
+      attempts: response.attempts,
+      raw_scores: {
+        avg_generated_prob: document.average_generated_prob,
+        completely_generated_prob: document.completely_generated_prob,
+        overall_burstiness: document.overall_burstiness,
+        perplexity: document.perplexity
+      }
+    };
+  }
+};
+
+// Offline stylometric detector (statistical_detector.js)
+const statistical = {
+  name: 'statistical',
+  cost: 0,
+  // Vocabulary and fitted weights come from language_model_en.json
+  languages: ['en'],
+
+  isAvailable: async () => true,
+
+  detect: async (text) => statisticalDetector.detect(text)
+};
+
+const DETECTORS = { gptzero, statistical };
+
+// Earlier local detectors that the statistical engine replaced; specs that
+// still name them are scored with the statistical detector instead
+const DETECTOR_ALIASES = {
+  heuristic: 'statistical',
+  patterns: 'statistical'
+};
+
+const DEFAULT_ENSEMBLE = 'gptzero:0.6,statistical:0.4';
+
+const isKnownDetector = (name) => Object.prototype.hasOwnProperty.call(DETECTORS, name);
+
+// Text of unknown language is scored by every detector
+const supportsLanguage = (detector, language) => !language || !detector.languages || detector.languages.includes(language);
+
+// Accepts "gptzero:0.6,statistical" (weight defaults to 1), an array of names
+// or { name, weight } entries, or an object of name -> weight
+const parseEnsemble = (spec = process.env.AI_DETECTORS || DEFAULT_ENSEMBLE) => {
+  let entries;
+  if (typeof spec === 'string') {
+    entries = spec.split(',').map(part => part.trim()).filter(Boolean).map(part => {
+      const [name, weight] = part.split(':').map(p => p.trim());
+      return { name, weight: weight === undefined ? 1 : Number(weight) };
+    });
+  } else if (Array.isArray(spec)) {
+    entries = spec.map(entry => (typeof entry === 'string' ? { name: entry, weight: 1 } : { name: entry.name, weight: entry.weight ?? 1 }));
+  } else if (spec && typeof spec === 'object') {
+    entries = Object.entries(spec).map(([name, weight]) => ({ name, weight: Number(weight) }));
+  } else {
+    throw new Error('Detector ensemble must be a string, array or object');
+  }
+
+  if (entries.length === 0) {
+    throw new Error('Detector ensemble is empty');
+  }
+
+  // Resolve aliases, merging the weights of entries that end up on the same detector
+  entries = entries.reduce((merged, { name, weight }) => {
+    const resolved = DETECTOR_ALIASES[name] || name;
+    const existing = merged.find(entry => entry.name === resolved);
+    if (existing) {
+      existing.weight += weight;
+    } else {
+      merged.push({ name: resolved, weight });
+    }
+    return merged;
+  }, []);
+
+  for (const { name, weight } of entries) {
+    if (!isKnownDetector(name)) {
+      throw new Error(`Unknown AI detector "${name}" (expected one of: ${Object.keys(DETECTORS).join(', ')})`);
+    }
+    if (!Number.isFinite(weight) || weight <= 0) {
+      throw new Error(`AI detector "${name}" needs a positive weight`);
+    }
+  }
+
+  return entries;
+};
+
+// Score one text with every detector in the ensemble. Detectors that are
+// unavailable, fail or find the text too short to judge are reported as such
+// and left out of the combined score; the combined confidence drops by the
+// weight they would have carried.
+// Detectors that do not support the text's language are skipped outright
+// and do not count against the confidence, since a score from them would
+// only measure how un-English the text is.
+const runEnsemble = async (text, { ensemble = parseEnsemble(), signal, language } = {}) => {
+  const results = await Promise.all(ensemble.map(async ({ name, weight }) => {
+    const detector = DETECTORS[name];
+    if (!supportsLanguage(detector, language)) {
+      return { name, weight, cost: detector.cost, status: 'unsupported_language' };
+    }
+    if (!(await detector.isAvailable())) {
+      return { name, weight, cost: detector.cost, status: 'unavailable' };
+    }
+    try {
+      const result = await detector.detect(text, { signal, language });
+      // A detector with too little text to go on gives no score
+      const status = UNSCORED_CLASSIFICATIONS.includes(result.classification) ? result.classification : 'ok';
+      return { name, weight, cost: detector.cost, status, ...result };
+    } catch (error) {
+      return { name, weight, cost: detector.cost, status: 'error', error: error.message };
+    }
+  }));
+
+  const detectors = results.reduce((byName, { name, ...result }) => {
+    byName[name] = result;
+    return byName;
+  }, {});
+
+  const applicable = results.filter(r => r.status !== 'unsupported_language');
+  if (applicable.length === 0) {
+    return {
+      ai_probability: 0,
+      classification: 'unsupported_language',
+      confidence: 0,
+      method: 'ensemble',
+      language,
+      detectors
+    };
+  }
+
+  const scored = results.filter(r => r.status === 'ok');
+  if (scored.length === 0 && applicable.some(r => r.status === 'insufficient_text')) {
+    return {
+      ai_probability: 0,
+      classification: 'insufficient_text',
+      confidence: 0,
+      method: 'ensemble',
+      detectors
+    };
+  }
+  if (scored.length === 0) {
+    return {
+      ai_probability: 0,
+      classification: 'error',
+      confidence: 0,
+      method: 'ensemble',
+      error: 'No AI detector produced a score',
+      detectors
+    };
+  }
+
+  const totalWeight = applicable.reduce((sum, r) => sum + r.weight, 0);
+  const scoredWeight = scored.reduce((sum, r) => sum + r.weight, 0);
+  const evidence = scored.reduce((sum, r) => sum + r.weight * r.confidence, 0);
+
+  // Each score counts by its configured weight times its own confidence
+  const aiProbability = evidence > 0
+    ? scored.reduce((sum, r) => sum + r.weight * r.confidence * r.ai_probability, 0) / evidence
+    : scored.reduce((sum, r) => sum + r.weight * r.ai_probability, 0) / scoredWeight;
+  const confidence = (evidence / scoredWeight) * (scoredWeight / totalWeight);
+
+  return {
+    ai_probability: round(aiProbability),
+    classification: classify(aiProbability),
+    confidence: round(confidence),
+    method: 'ensemble',
+    threshold: AI_THRESHOLD,
+    scored_by: scored.map(r => r.name),
+    detectors
+  };
+};
+
+// How each detector fared across scored segments, e.g.
+// { gptzero: { ok: 10, error: 2 }, statistical: { ok: 12 } }
+const summarizeDetectorOutcomes = (segments) => {
+  const outcomes = {};
+  for (const segment of segments) {
+    for (const [name, { status }] of Object.entries(segment.ai_detection?.detectors || {})) {
+      outcomes[name] = outcomes[name] || {};
+      outcomes[name][status] = (outcomes[name][status] || 0) + 1;
+    }
+  }
+  return outcomes;
+};
+
+const getDetectorStatus = async () => {
+  const status = {};
+  for (const [name, detector] of Object.entries(DETECTORS)) {
+    status[name] = {
+      cost: detector.cost,
+      languages: detector.languages || null,
+      available: await detector.isAvailable()
+    };
+  }
+  return status;
+};
+
+module.exports = {
+  DETECTORS,
+  DEFAULT_ENSEMBLE,
+  AI_THRESHOLD,
+  UNSCORED_CLASSIFICATIONS,
+  isKnownDetector,
+  supportsLanguage,
+  parseEnsemble,
+  runEnsemble,
+  summarizeDetectorOutcomes,
+  getDetectorStatus
+};
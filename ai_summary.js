@@ -0,0 +1,148 @@
+const aiDetectors = require('./ai_detectors');
+
+// Moderation summary over scored segments. Each segment counts by its
+// duration times its detection confidence, so a half-second "yeah" or a
+// score the detectors barely trust moves the overall number very little.
+// Segments whose transcript is unreliable (transcript_quality.js) are left
+// out: a score on misheard lyrics says nothing about the speech.
+
+const AI_VERDICT_THRESHOLD = parseFloat(process.env.AI_VERDICT_THRESHOLD) || aiDetectors.AI_THRESHOLD;
+
+// Neighbouring flagged segments separated by at most this much (seconds)
+// are merged into one span
+const SPAN_MERGE_GAP = 2;
+
+// A video under the threshold overall is still 'mixed' when flagged spans
+// cover at least this share of the scored speech
+const MIXED_SHARE = 0.2;
+
+// Below this share of scored speech there is too little to go on
+const MIN_SCORED_SHARE = 0.2;
+
+const HISTOGRAM_BINS = 10;
+
+const round = (value, digits = 3) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const duration = (segment) => Math.max(0, (segment.end || 0) - (segment.start || 0));
+
+const isScored = (segment) => {
+  const detection = segment.ai_detection;
+  return Boolean(detection) && typeof detection.ai_probability === 'number'
+    && !aiDetectors.UNSCORED_CLASSIFICATIONS.includes(detection.classification)
+    && !segment.transcript_quality?.unreliable;
+};
+
+// Duration x confidence weighted mean; falls back to duration alone when no
+// detector reported any confidence
+const weightedProbability = (segments) => {
+  const byEvidence = segments.reduce((acc, s) => {
+    const weight = duration(s) * (s.ai_detection.confidence ?? 1);
+    acc.weight += weight;
+    acc.sum += weight * s.ai_detection.ai_probability;
+    return acc;
+  }, { weight: 0, sum: 0 });
+  if (byEvidence.weight > 0) {
+    return { probability: byEvidence.sum / byEvidence.weight, evidence: byEvidence.weight };
+  }
+
+  const totalDuration = segments.reduce((sum, s) => sum + duration(s), 0);
+  if (totalDuration > 0) {
+    return { probability: segments.reduce((sum, s) => sum + duration(s) * s.ai_detection.ai_probability, 0) / totalDuration, evidence: 0 };
+  }
+  return { probability: 0, evidence: 0 };
+};
+
+// Merge neighbouring segments at or above the threshold into time spans.
+// Only the gap decides, so a short "yeah" between two flagged segments does
+// not split them while a long human passage does.
+const buildFlaggedSpans = (scored, threshold) => {
+  const spans = [];
+  let current = null;
+
+  for (const segment of scored.filter(s => s.ai_detection.ai_probability >= threshold)) {
+    if (current && segment.start - current.end <= SPAN_MERGE_GAP) {
+      current.end = Math.max(current.end, segment.end);
+      current.segments.push(segment);
+    } else {
+      current = { start: segment.start, end: segment.end, segments: [segment] };
+      spans.push(current);
+    }
+  }
+
+  return spans.map(span => {
+    const { probability } = weightedProbability(span.segments);
+    return {
+      start: span.start,
+      end: span.end,
+      duration: round(span.end - span.start, 2),
+      segment_ids: span.segments.map(s => s.id),
+      speakers: [...new Set(span.segments.map(s => s.speaker).filter(Boolean))],
+      ai_probability: round(probability),
+      max_ai_probability: round(Math.max(...span.segments.map(s => s.ai_detection.ai_probability)))
+    };
+  });
+};
+
+const buildHistogram = (scored) => Array.from({ length: HISTOGRAM_BINS }, (_, i) => {
+  const from = i / HISTOGRAM_BINS;
+  const to = (i + 1) / HISTOGRAM_BINS;
+  const inBin = scored.filter(s => {
+    const p = s.ai_detection.ai_probability;
+    return p >= from && (i === HISTOGRAM_BINS - 1 ? p <= to : p < to);
+  });
+  return {
+    from: round(from, 2),
+    to: round(to, 2),
+    segments: inBin.length,
+    duration: round(inBin.reduce((sum, s) => sum + duration(s), 0), 2)
+  };
+});
+
+const summarizeDetections = (segments = [], { threshold = AI_VERDICT_THRESHOLD } = {}) => {
+  const ordered = segments
+    .map((segment, index) => ({ ...segment, id: segment.id ?? index }))
+    .sort((a, b) => a.start - b.start);
+  const scored = ordered.filter(isScored);
+
+  const totalDuration = ordered.reduce((sum, s) => sum + duration(s), 0);
+  const scoredDuration = scored.reduce((sum, s) => sum + duration(s), 0);
+  const { probability, evidence } = weightedProbability(scored);
+  const flaggedSpans = buildFlaggedSpans(scored, threshold);
+  const flaggedDuration = flaggedSpans.reduce((sum, span) => sum + span.duration, 0);
+  const scoredShare = totalDuration > 0 ? scoredDuration / totalDuration : 0;
+  const flaggedShare = scoredDuration > 0 ? Math.min(1, flaggedDuration / scoredDuration) : 0;
+
+  let verdict;
+  if (scored.length === 0 || scoredShare < MIN_SCORED_SHARE) {
+    verdict = 'inconclusive';
+  } else if (probability >= threshold) {
+    verdict = 'likely_ai';
+  } else if (flaggedShare >= MIXED_SHARE) {
+    verdict = 'mixed';
+  } else {
+    verdict = 'likely_human';
+  }
+
+  return {
+    weighted_ai_probability: round(probability),
+    // Mean detector confidence over the scored speech
+    confidence: scoredDuration > 0 ? round(evidence / scoredDuration) : 0,
+    scored_duration: round(scoredDuration, 2),
+    scored_share: round(scoredShare),
+    flagged_duration: round(flaggedDuration, 2),
+    flagged_share: round(flaggedShare),
+    verdict: {
+      label: verdict,
+      threshold,
+      mixed_share: MIXED_SHARE,
+      rule: `likely_ai when weighted_ai_probability >= ${threshold}; mixed when flagged spans cover >= ${MIXED_SHARE * 100}% of scored speech; inconclusive when under ${MIN_SCORED_SHARE * 100}% of the speech could be scored; segments with an unreliable transcript are not scored`
+    },
+    flagged_spans: flaggedSpans,
+    histogram: buildHistogram(scored)
+  };
+};
+
+module.exports = {
+  AI_VERDICT_THRESHOLD,
+  summarizeDetections
+};
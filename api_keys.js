@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+
+// API keys for deployments shared between teams. API_KEYS_FILE points at a
+// JSON list of clients:
+//   [{ "name": "trust-safety", "key": "...", "rate_limit": 60,
+//      "daily_audio_minutes": 600, "admin": false }]
+// rate_limit is requests per RATE_LIMIT_WINDOW_MS on /analyze (default
+// RATE_LIMIT_MAX_REQUESTS); daily_audio_minutes caps transcribed audio per
+// UTC day (omit for no cap). Admin keys can read every job and all usage.
+// Without a key file the service stays open, as before.
+
+const RATE_LIMIT_WINDOW_MS = parseInt(process.env.RATE_LIMIT_WINDOW_MS, 10) || 15 * 60 * 1000;
+const RATE_LIMIT_MAX_REQUESTS = parseInt(process.env.RATE_LIMIT_MAX_REQUESTS, 10) || 10;
+
+// Shorter keys are too easy to guess
+const MIN_KEY_LENGTH = 16;
+
+// sha256 of the key -> client; raw keys are not kept in memory
+let clients = new Map();
+
+const hashKey = (key) => crypto.createHash('sha256').update(String(key)).digest();
+
+const isEnabled = () => clients.size > 0;
+
+const parseClient = (entry, index) => {
+  const label = entry?.name ? `"${entry.name}"` : `#${index + 1}`;
+  if (!entry || typeof entry.name !== 'string' || !entry.name.trim()) {
+    throw new Error(`API key ${label} needs a name`);
+  }
+  if (typeof entry.key !== 'string' || entry.key.length < MIN_KEY_LENGTH) {
+    throw new Error(`API key ${label} must be a string of at least ${MIN_KEY_LENGTH} characters`);
+  }
+  for (const field of ['rate_limit', 'daily_audio_minutes']) {
+    if (entry[field] !== undefined && entry[field] !== null && !(Number.isFinite(entry[field]) && entry[field] > 0)) {
+      throw new Error(`API key ${label}: ${field} must be a positive number`);
+    }
+  }
+  return {
+    name: entry.name.trim(),
+    rate_limit: entry.rate_limit || RATE_LIMIT_MAX_REQUESTS,
+    daily_audio_minutes: entry.daily_audio_minutes || null,
+    admin: entry.admin === true
+  };
+};
+
+// Replace the configured keys; an empty list turns authentication off
+const setKeys = (entries = []) => {
+  const next = new Map();
+  const names = new Set();
+  entries.forEach((entry, index) => {
+    const client = parseClient(entry, index);
+    if (names.has(client.name)) {
+      throw new Error(`API key name "${client.name}" is used twice`);
+    }
+    names.add(client.name);
+    next.set(hashKey(entry.key).toString('hex'), client);
+  });
+  clients = next;
+  return Array.from(next.values());
+};
+
+// A broken key file stops startup rather than leaving the service open
+const loadKeys = async (filePath = process.env.API_KEYS_FILE) => {
+  if (!filePath) {
+    return setKeys([]);
+  }
+  let entries;
+  try {
+    entries = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read API_KEYS_FILE ${filePath}: ${error.message}`);
+  }
+  if (!Array.isArray(entries)) {
+    throw new Error(`API_KEYS_FILE ${filePath} must contain a JSON array`);
+  }
+  return setKeys(entries);
+};
+
+const findClient = (key) => {
+  if (!key) {
+    return null;
+  }
+  const hash = hashKey(key);
+  for (const [stored, client] of clients) {
+    if (crypto.timingSafeEqual(hash, Buffer.from(stored, 'hex'))) {
+      return client;
+    }
+  }
+  return null;
+};
+
+const getClient = (name) => Array.from(clients.values()).find(client => client.name === name) || null;
+
+const listClients = () => Array.from(clients.values());
+
+// Headers only: a key in a URL ends up in access logs, proxies and
+// browser history
+const extractKey = (req) => {
+  const authorization = req.get('authorization') || '';
+  const bearer = authorization.match(/^Bearer\s+(.+)$/i);
+  return (bearer && bearer[1].trim()) || req.get('x-api-key') || null;
+};
+
+// Sets req.client to the calling client (null while authentication is off)
+const authenticate = (req, res, next) => {
+  if (!isEnabled()) {
+    req.client = null;
+    return next();
+  }
+  const client = findClient(extractKey(req));
+  if (!client) {
+    return res.status(401).json({ error: 'A valid API key is required (Authorization: Bearer <key> or X-API-Key header)' });
+  }
+  req.client = client;
+  next();
+};
+
+// Jobs belong to the key that submitted them; admin keys see everything
+const canAccess = (client, job) => {
+  if (!isEnabled() || client?.admin) {
+    return true;
+  }
+  return Boolean(client && job && job.owner === client.name);
+};
+
+module.exports = {
+  RATE_LIMIT_WINDOW_MS,
+  RATE_LIMIT_MAX_REQUESTS,
+  isEnabled,
+  setKeys,
+  loadKeys,
+  findClient,
+  getClient,
+  listClients,
+  authenticate,
+  canAccess
+};
@@ -0,0 +1,252 @@
+const ffmpeg = require('fluent-ffmpeg');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const jobQueue = require('./job_queue');
+const mediaMetadata = require('./media_metadata');
+
+// Audio between download and transcription:
+//   - convertToWav normalises loudness (EBU R128) while resampling to
+//     16 kHz mono, so quiet recordings transcribe as well as loud ones
+//   - silence at the start and end is trimmed from what is transcribed;
+//     chunks keep their offset into the recording, so timestamps stay on
+//     the original timeline
+//   - long recordings are split into chunks of about AUDIO_CHUNK_SECONDS,
+//     cut in the middle of a silence where there is one near the target,
+//     each overlapping its neighbours by AUDIO_CHUNK_OVERLAP_SECONDS so no
+//     word is lost at a cut
+//   - chunks are encoded as AUDIO_FORMAT (wav, flac or opus) for upload;
+//     FLAC halves the size of a WAV losslessly, Opus cuts it by ~95%
+// The stored audio artefact stays the normalised, untrimmed WAV.
+
+const AUDIO_FORMATS = {
+  wav: { extension: 'wav', codec: 'pcm_s16le', format: 'wav' },
+  flac: { extension: 'flac', codec: 'flac', format: 'flac' },
+  opus: { extension: 'opus', codec: 'libopus', format: 'opus', bitrate: '32k' }
+};
+
+const AUDIO_FORMAT = AUDIO_FORMATS[process.env.AUDIO_FORMAT] ? process.env.AUDIO_FORMAT : 'wav';
+const AUDIO_LOUDNORM = process.env.AUDIO_LOUDNORM !== 'false';
+
+const AUDIO_CHUNK_SECONDS = Math.max(60, parseInt(process.env.AUDIO_CHUNK_SECONDS, 10) || 900);
+const AUDIO_CHUNK_OVERLAP_SECONDS = Math.max(0, parseFloat(process.env.AUDIO_CHUNK_OVERLAP_SECONDS) || 2);
+const TRANSCRIPTION_CONCURRENCY = Math.max(1, parseInt(process.env.TRANSCRIPTION_CONCURRENCY, 10) || 3);
+
+// Silence is anything quieter than this for at least this long
+const SILENCE_NOISE_DB = -35;
+const SILENCE_MIN_SECONDS = 0.5;
+
+// Silence trimmed from either end keeps this much next to the speech, so
+// no word onset or tail is clipped
+const TRIM_PADDING_SECONDS = 0.25;
+
+// A cut may move back from the target by up to this share of a chunk to
+// land in a silence
+const CUT_SEARCH_SHARE = 0.25;
+
+const round = (value, digits = 3) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Filters applied while converting any input to the 16 kHz mono WAV
+const normalizationFilters = () => (AUDIO_LOUDNORM ? ['loudnorm=I=-16:TP=-1.5:LRA=11'] : []);
+
+// Runs one ffmpeg command, killing it when the job is cancelled
+const runCommand = (command, signal, failureMessage) => new Promise((resolve, reject) => {
+  jobQueue.throwIfCancelled(signal);
+
+  const abort = () => command.kill('SIGKILL');
+  command
+    .on('error', (err) => {
+      signal?.removeEventListener('abort', abort);
+      reject(signal?.aborted ? jobQueue.createCancelledError() : new Error(`${failureMessage}: ${err.message}`));
+    })
+    .on('end', () => {
+      signal?.removeEventListener('abort', abort);
+      resolve();
+    });
+  signal?.addEventListener('abort', abort, { once: true });
+
+  command.run();
+});
+
+// silencedetect logs "silence_start: 12.3" and "silence_end: 14.1 | ..."
+const SILENCE_PATTERN = /silence_(start|end):\s*(-?[\d.]+)/;
+
+// Silences from silencedetect's log lines; one still open at the end of the
+// file lasts until duration
+const parseSilences = (lines, duration) => {
+  const silences = [];
+  let start = null;
+  for (const line of lines) {
+    const match = String(line).match(SILENCE_PATTERN);
+    if (!match) {
+      continue;
+    }
+    const time = Math.max(0, parseFloat(match[2]));
+    if (match[1] === 'start') {
+      start = time;
+    } else if (start !== null) {
+      silences.push({ start, end: time });
+      start = null;
+    }
+  }
+  if (start !== null && duration > start) {
+    silences.push({ start, end: duration });
+  }
+  return silences;
+};
+
+const detectSilences = async (audioPath, duration, { signal } = {}) => {
+  const lines = [];
+  const command = ffmpeg(audioPath)
+    .noVideo()
+    .audioFilters(`silencedetect=noise=${SILENCE_NOISE_DB}dB:d=${SILENCE_MIN_SECONDS}`)
+    .format('null')
+    .output('-')
+    .on('stderr', line => lines.push(line));
+
+  await runCommand(command, signal, 'Silence detection failed');
+  return parseSilences(lines, duration);
+};
+
+// The part of a recording worth transcribing, { start, end }, without the
+// silence at either end. A recording that is silent throughout is kept
+// whole.
+const speechRange = (duration, silences = []) => {
+  const leading = silences.find(s => s.start <= 0);
+  // silencedetect may close a silence that runs to the end a few ms early
+  const trailing = silences.find(s => s.end >= duration - 0.05);
+  const start = leading ? round(Math.max(0, leading.end - TRIM_PADDING_SECONDS)) : 0;
+  const end = trailing ? round(Math.min(duration, trailing.start + TRIM_PADDING_SECONDS)) : duration;
+  return end > start ? { start, end } : { start: 0, end: duration };
+};
+
+// Where to cut the recording between start and duration seconds. Each
+// chunk is
+//   { index, start, end, from, to }
+// start/end is the audio it holds, including the overlap; from/to is the
+// part of the timeline it is responsible for when transcripts are stitched.
+const planChunks = (duration, silences = [], { chunkSeconds = AUDIO_CHUNK_SECONDS, overlapSeconds = AUDIO_CHUNK_OVERLAP_SECONDS, start = 0 } = {}) => {
+  const cuts = [];
+  let from = start;
+  // A last chunk up to half again as long beats a tiny one
+  while (duration - from > chunkSeconds * 1.5) {
+    const target = from + chunkSeconds;
+    const earliest = target - chunkSeconds * CUT_SEARCH_SHARE;
+    const silence = silences
+      .map(s => ({ ...s, middle: (s.start + s.end) / 2 }))
+      .filter(s => s.middle >= earliest && s.middle <= target)
+      .sort((a, b) => b.middle - a.middle)[0];
+    const cut = silence ? silence.middle : target;
+    cuts.push(cut);
+    from = cut;
+  }
+
+  const bounds = [start, ...cuts, duration];
+  return bounds.slice(0, -1).map((boundary, index) => ({
+    index,
+    start: round(Math.max(0, boundary - (index > 0 ? overlapSeconds : 0))),
+    end: round(Math.min(duration, bounds[index + 1] + (index < cuts.length ? overlapSeconds : 0))),
+    from: index === 0 ? 0 : round(boundary),
+    to: index === cuts.length ? Infinity : round(bounds[index + 1])
+  }));
+};
+
+const encodeChunk = (audioPath, outputPath, { start, end }, format, { signal } = {}) => {
+  const { codec, format: container, bitrate } = AUDIO_FORMATS[format];
+  const command = ffmpeg(audioPath)
+    .seekInput(start)
+    .duration(end - start)
+    .noVideo()
+    .audioCodec(codec)
+    .format(container)
+    .output(outputPath);
+  if (bitrate) {
+    command.audioBitrate(bitrate);
+  }
+  return runCommand(command, signal, 'Audio chunking failed');
+};
+
+// The chunks to transcribe, each with the path of its encoded audio and
+// its start in the recording. cleanup removes the encoded files. A short
+// WAV without silence to trim is passed on as it is.
+const prepareChunks = async (audioPath, { format = AUDIO_FORMAT, signal } = {}) => {
+  const probe = await mediaMetadata.probeMedia(audioPath);
+  const duration = parseFloat(probe.format?.duration) || 0;
+  const silences = await detectSilences(audioPath, duration, { signal });
+  const speech = speechRange(duration, silences);
+  const trimmed = speech.start > 0 || speech.end < duration;
+
+  if (!trimmed && duration <= AUDIO_CHUNK_SECONDS * 1.5 && format === 'wav') {
+    return { chunks: [{ index: 0, start: 0, end: duration, from: 0, to: Infinity, path: audioPath }], cleanup: async () => {} };
+  }
+
+  const chunks = planChunks(speech.end, silences, { start: speech.start });
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'chunks-'));
+  const cleanup = () => fs.rm(workDir, { recursive: true, force: true });
+  const base = path.basename(audioPath, path.extname(audioPath));
+
+  try {
+    for (const chunk of chunks) {
+      chunk.path = path.join(workDir, `${base}-chunk-${String(chunk.index).padStart(3, '0')}.${AUDIO_FORMATS[format].extension}`);
+      await encodeChunk(audioPath, chunk.path, chunk, format, { signal });
+    }
+  } catch (error) {
+    await cleanup();
+    throw error;
+  }
+
+  if (trimmed) {
+    console.log(`🔇 Trimmed ${round(speech.start + duration - speech.end, 1)}s of leading and trailing silence`);
+  }
+  if (chunks.length > 1) {
+    console.log(`✂️ Split ${Math.round(speech.end - speech.start)}s of audio into ${chunks.length} ${format} chunks (${silences.length} silences found)`);
+  }
+  return { chunks, cleanup };
+};
+
+// Run worker over items with at most limit in flight; results keep item
+// order. worker gets a signal that aborts on the first failure (or when
+// signal does), after which no further items are started; the failure is
+// rethrown once the items already running have settled.
+const mapWithConcurrency = async (items, limit, worker, { signal } = {}) => {
+  const results = new Array(items.length);
+  const controller = new AbortController();
+  const stop = () => controller.abort();
+  signal?.addEventListener('abort', stop, { once: true });
+  let next = 0;
+  let failure = null;
+
+  const run = async () => {
+    while (next < items.length && !failure) {
+      const index = next++;
+      try {
+        results[index] = await worker(items[index], index, controller.signal);
+      } catch (error) {
+        failure = failure || { error };
+        controller.abort();
+      }
+    }
+  };
+
+  await Promise.allSettled(Array.from({ length: Math.min(limit, items.length) }, run));
+  signal?.removeEventListener('abort', stop);
+  if (failure) {
+    throw failure.error;
+  }
+  return results;
+};
+
+module.exports = {
+  AUDIO_FORMATS,
+  AUDIO_FORMAT,
+  AUDIO_CHUNK_SECONDS,
+  AUDIO_CHUNK_OVERLAP_SECONDS,
+  TRANSCRIPTION_CONCURRENCY,
+  normalizationFilters,
+  parseSilences,
+  detectSilences,
+  speechRange,
+  planChunks,
+  prepareChunks,
+  mapWithConcurrency
+};
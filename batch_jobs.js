@@ -0,0 +1,135 @@
+const ytpl = require('ytpl');
+const httpClient = require('./http_client');
+
+// Playlists and channels are cut off after this many videos
+const BATCH_MAX_VIDEOS = Math.max(1, parseInt(process.env.BATCH_MAX_VIDEOS, 10) || 25);
+
+const YOUTUBE_HOST = /^https?:\/\/(www\.|m\.)?youtube\.com/;
+
+const PLAYLIST_PATTERN = /^https?:\/\/(www\.|m\.)?youtube\.com\/playlist\?(.*&)?list=[\w-]+/;
+
+const CHANNEL_PATTERNS = [
+  /^https?:\/\/(www\.|m\.)?youtube\.com\/channel\/UC[\w-]+/,
+  /^https?:\/\/(www\.|m\.)?youtube\.com\/(c|user)\/[\w.-]+/,
+  /^https?:\/\/(www\.|m\.)?youtube\.com\/@[\w.-]+/
+];
+
+const round = (value, digits = 3) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// 'playlist', 'channel' or null
+const classifyCollectionUrl = (url) => {
+  if (typeof url !== 'string' || !YOUTUBE_HOST.test(url)) {
+    return null;
+  }
+  if (PLAYLIST_PATTERN.test(url)) {
+    return 'playlist';
+  }
+  if (CHANNEL_PATTERNS.some(pattern => pattern.test(url))) {
+    return 'channel';
+  }
+  return null;
+};
+
+// Channel pages fetched to resolve @handles; its own circuit, so a YouTube
+// outage fails batches quickly without touching the other providers
+const channelHttp = httpClient.createClient('youtube_channel', {
+  timeoutMs: parseInt(process.env.YOUTUBE_CHANNEL_TIMEOUT_MS, 10) || 15000
+});
+
+// ytpl understands /channel/, /c/ and /user/ URLs but not @handles, so look
+// the channel ID up on the handle's page
+const resolveChannelHandle = async (url) => {
+  const response = await channelHttp.get(url, {
+    headers: { 'User-Agent': 'Mozilla/5.0 (compatible; YouTube-Analysis-Service/1.0)' }
+  });
+  const match = String(response.data).match(/"(?:channelId|externalId)":"(UC[\w-]{22})"/);
+  if (!match) {
+    throw new Error(`Could not find a channel ID on ${url}`);
+  }
+  return match[1];
+};
+
+// Expand a playlist or channel URL into { title, videos: [{ youtube_url, title }] }
+const resolveCollection = async (url, { limit = BATCH_MAX_VIDEOS } = {}) => {
+  try {
+    const listRef = /youtube\.com\/@/.test(url) ? await resolveChannelHandle(url) : url;
+    const playlist = await ytpl(listRef, { limit });
+
+    return {
+      title: playlist.title,
+      videos: playlist.items.slice(0, limit).map(item => ({
+        youtube_url: `https://www.youtube.com/watch?v=${item.id}`,
+        title: item.title
+      }))
+    };
+  } catch (error) {
+    throw new Error(`Could not list videos for ${url}: ${error.message}`);
+  }
+};
+
+// Per-video line of the batch report, built from the child job's result file
+const summarizeVideo = ({ jobId, youtubeUrl, title, job, result }) => {
+  const entry = {
+    job_id: jobId,
+    youtube_url: youtubeUrl,
+    title: title || null,
+    status: result?.status || job?.status || 'unknown'
+  };
+
+  if (entry.status !== 'completed' || !result?.processing_summary) {
+    entry.error = result?.error || job?.error || null;
+    return entry;
+  }
+
+  const summary = result.processing_summary;
+  const classified = summary.ai_segments + summary.human_segments;
+  const aiShare = classified > 0 ? summary.ai_segments / classified : 0;
+
+  // Judged on the moderation verdict, not on segment counts: a run of short
+  // AI-scored asides does not make a video mostly AI
+  return {
+    ...entry,
+    total_segments: summary.total_segments,
+    ai_segments: summary.ai_segments,
+    human_segments: summary.human_segments,
+    ai_probability: round(summary.average_ai_probability),
+    weighted_ai_probability: summary.weighted_ai_probability ?? null,
+    scored_duration: summary.scored_duration ?? 0,
+    verdict: summary.verdict?.label || null,
+    ai_segment_share: round(aiShare),
+    mostly_ai: summary.verdict?.label === 'likely_ai'
+  };
+};
+
+// Totals across the batch, in the style of a single result's processing_summary
+const summarizeBatch = (videos) => {
+  const completed = videos.filter(v => v.status === 'completed' && v.total_segments !== undefined);
+  const totalSegments = completed.reduce((sum, v) => sum + v.total_segments, 0);
+  const weighted = completed.filter(v => v.weighted_ai_probability !== null && v.scored_duration > 0);
+  const scoredDuration = weighted.reduce((sum, v) => sum + v.scored_duration, 0);
+
+  return {
+    total_videos: videos.length,
+    completed_videos: completed.length,
+    failed_videos: videos.filter(v => v.status === 'failed').length,
+    cancelled_videos: videos.filter(v => v.status === 'cancelled').length,
+    mostly_ai_videos: completed.filter(v => v.mostly_ai).length,
+    mostly_ai_video_ids: completed.filter(v => v.mostly_ai).map(v => v.job_id),
+    total_segments: totalSegments,
+    ai_segments: completed.reduce((sum, v) => sum + v.ai_segments, 0),
+    human_segments: completed.reduce((sum, v) => sum + v.human_segments, 0),
+    // Each video's weighted_ai_probability, weighted by its scored speech
+    // so long videos count for more than short ones
+    average_ai_probability: scoredDuration > 0
+      ? round(weighted.reduce((sum, v) => sum + v.weighted_ai_probability * v.scored_duration, 0) / scoredDuration)
+      : 0
+  };
+};
+
+module.exports = {
+  BATCH_MAX_VIDEOS,
+  classifyCollectionUrl,
+  resolveCollection,
+  summarizeVideo,
+  summarizeBatch
+};
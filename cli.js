@@ -0,0 +1,345 @@
+#!/usr/bin/env node
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const ytdl = require('ytdl-core');
+const pipeline = require('./server');
+const jobRegistry = require('./job_registry');
+const jobQueue = require('./job_queue');
+const storageBackends = require('./storage_backends');
+const storagePaths = require('./storage_paths');
+const transcriptExport = require('./transcript_export');
+const languageId = require('./language_id');
+const resultCache = require('./result_cache');
+
+// Runs the analysis pipeline without the HTTP server, for scripts and cron:
+//   yt-analyze run <url|file> [--out result.json] [--format srt] [--detector ensemble]
+//   yt-analyze batch urls.txt [--out report.json] [--out-dir results/]
+// Results go to stdout (or --out); progress logs go to stderr. Jobs are
+// recorded in the same job registry and result store as the server's.
+
+const EXIT_OK = 0;
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+// batch: some videos failed, the rest were analysed
+const EXIT_PARTIAL = 3;
+const EXIT_INTERRUPTED = 130;
+
+const USAGE = `Usage:
+  yt-analyze run <youtube-url|file> [options]
+  yt-analyze batch <urls.txt> [options]
+
+Options:
+  --out <file>         Write the result (run) or batch report (batch) to a file instead of stdout
+  --out-dir <dir>      batch: also write each analysed video to <dir>/<video-id>.<format>
+  --format <format>    json (default) or a transcript format: ${Object.keys(transcriptExport.FORMATS).join(', ')}
+  --detector <spec>    ensemble (default, AI_DETECTORS) or name:weight pairs, e.g. statistical or gptzero:0.6,statistical:0.4
+  --provider <name>    Transcription provider: elevenlabs or whisper
+  --language <code>    Spoken language as an ISO 639 code; detected when omitted
+  --force-refresh      Ignore cached audio, transcripts and AI scores
+  -h, --help           Show this help
+
+urls.txt lists one YouTube video URL per line; blank lines and lines
+starting with # are skipped.
+
+Exit codes:
+  0    analysis completed
+  1    analysis failed (batch: every video failed)
+  2    invalid command line or input
+  3    batch: some videos failed
+  130  interrupted`;
+
+const COMMANDS = ['run', 'batch'];
+const VALUE_OPTIONS = ['out', 'out-dir', 'format', 'detector', 'provider', 'language'];
+const FLAG_OPTIONS = ['force-refresh', 'help'];
+
+const usageError = (message) => {
+  const error = new Error(message);
+  error.code = 'USAGE';
+  return error;
+};
+
+// argv without node and the script: { command, args, options }. Options
+// take --name value or --name=value.
+const parseArgs = (argv) => {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-h') {
+      options.help = true;
+      continue;
+    }
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+
+    const separator = arg.indexOf('=');
+    const name = separator === -1 ? arg.slice(2) : arg.slice(2, separator);
+    if (FLAG_OPTIONS.includes(name) && separator === -1) {
+      options[name] = true;
+    } else if (VALUE_OPTIONS.includes(name)) {
+      const value = separator === -1 ? argv[++i] : arg.slice(separator + 1);
+      if (value === undefined || value === '') {
+        throw usageError(`--${name} needs a value`);
+      }
+      options[name] = value;
+    } else {
+      throw usageError(`Unknown option ${arg}`);
+    }
+  }
+
+  const [command, ...args] = positional;
+  return { command, args, options };
+};
+
+// Pipeline options from the command line, checked the way POST /analyze
+// checks its request fields
+const resolveOptions = async (options) => {
+  const format = (options.format || 'json').toLowerCase();
+  if (format !== 'json' && !transcriptExport.isKnownFormat(format)) {
+    throw usageError(`Unknown format "${format}" (expected json or one of: ${Object.keys(transcriptExport.FORMATS).join(', ')})`);
+  }
+  const detectors = options.detector && options.detector !== 'ensemble' ? options.detector : null;
+  const optionsError = await pipeline.validateAnalysisOptions({
+    transcription_provider: options.provider,
+    detectors,
+    language: options.language
+  });
+  if (optionsError) {
+    throw usageError(optionsError);
+  }
+
+  return {
+    format,
+    out: options.out || null,
+    outDir: options['out-dir'] || null,
+    transcriptionProvider: options.provider || null,
+    detectors,
+    language: languageId.normalizeLanguage(options.language),
+    forceRefresh: Boolean(options['force-refresh'])
+  };
+};
+
+const isVideoUrl = (url) => pipeline.validateYouTubeUrl(url) && ytdl.validateURL(url);
+
+// A YouTube URL, or a local media file. The pipeline deletes its upload
+// once done, so a file is analysed from a copy in the uploads directory.
+const prepareSource = async (target) => {
+  if (/^https?:\/\//i.test(target)) {
+    if (!isVideoUrl(target)) {
+      throw usageError(`Invalid YouTube URL: ${target}`);
+    }
+    return { type: 'youtube', youtube_url: target };
+  }
+
+  const extension = path.extname(target).toLowerCase();
+  if (!pipeline.UPLOAD_EXTENSIONS.includes(extension)) {
+    throw usageError(`Unsupported file type "${extension || target}" (expected one of: ${pipeline.UPLOAD_EXTENSIONS.join(', ')})`);
+  }
+  try {
+    await fs.access(target);
+  } catch (error) {
+    throw usageError(`File not found: ${target}`);
+  }
+
+  const uploadPath = path.join(storagePaths.STORAGE_DIRS.uploads, `${uuidv4()}${extension}`);
+  await fs.copyFile(target, uploadPath);
+  return { type: 'upload', upload_path: uploadPath, original_name: path.basename(target) };
+};
+
+// Video URLs from a list file; any invalid line rejects the whole list
+const readUrlList = async (file) => {
+  let content;
+  try {
+    content = await fs.readFile(file, 'utf8');
+  } catch (error) {
+    throw usageError(`Cannot read ${file}: ${error.message}`);
+  }
+
+  const urls = content.split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line.length > 0 && !line.startsWith('#'));
+  if (urls.length === 0) {
+    throw usageError(`${file} lists no URLs`);
+  }
+  const invalidUrls = urls.filter(url => !isVideoUrl(url));
+  if (invalidUrls.length > 0) {
+    throw usageError(`Invalid YouTube URLs in ${file}: ${invalidUrls.join(', ')}`);
+  }
+  return urls;
+};
+
+const render = (result, format) => (format === 'json'
+  ? `${JSON.stringify(result, null, 2)}\n`
+  : transcriptExport.FORMATS[format].render(result));
+
+const extensionOf = (format) => (format === 'json' ? 'json' : transcriptExport.FORMATS[format].extension);
+
+const writeOutput = (content, file) => (file
+  ? fs.writeFile(file, content)
+  : new Promise(resolve => process.stdout.write(content, resolve)));
+
+// Run onInterrupt on Ctrl-C or SIGTERM; returns a function removing it.
+// A second Ctrl-C kills the process outright.
+const handleInterrupt = (onInterrupt) => {
+  const handler = () => {
+    console.error('🛑 Interrupted, stopping...');
+    onInterrupt();
+  };
+  process.once('SIGINT', handler);
+  process.once('SIGTERM', handler);
+  return () => {
+    process.removeListener('SIGINT', handler);
+    process.removeListener('SIGTERM', handler);
+  };
+};
+
+// Exit code for a finished batch report
+const batchExitCode = (report) => {
+  const failed = report.videos.filter(video => video.status !== 'completed').length;
+  if (failed === 0) {
+    return EXIT_OK;
+  }
+  return failed === report.videos.length ? EXIT_FAILED : EXIT_PARTIAL;
+};
+
+const runCommand = async ([target], options) => {
+  if (!target) {
+    throw usageError('run needs a YouTube URL or a media file');
+  }
+  const source = await prepareSource(target);
+
+  const jobId = uuidv4();
+  const { type, ...input } = source;
+  await jobRegistry.createJob({
+    jobId,
+    type,
+    input: {
+      ...input,
+      transcription_provider: options.transcriptionProvider,
+      detectors: options.detectors,
+      language: options.language,
+      force_refresh: options.forceRefresh
+    }
+  });
+
+  const controller = new AbortController();
+  const stopHandling = handleInterrupt(() => controller.abort());
+  try {
+    const result = await pipeline.runAnalysis(jobId, source, {
+      signal: controller.signal,
+      transcriptionProvider: options.transcriptionProvider,
+      detectors: options.detectors,
+      language: options.language,
+      forceRefresh: options.forceRefresh
+    });
+    await writeOutput(render(result, options.format), options.out);
+    return EXIT_OK;
+  } catch (error) {
+    // runAnalysis has logged the failure and stored the failed result
+    return jobQueue.isCancelledError(error) ? EXIT_INTERRUPTED : EXIT_FAILED;
+  } finally {
+    stopHandling();
+  }
+};
+
+// The server's batch job: videos run through the worker queue,
+// MAX_CONCURRENT_JOBS at a time
+const batchCommand = async ([file], options) => {
+  if (!file) {
+    throw usageError('batch needs a file listing YouTube URLs');
+  }
+  const urls = await readUrlList(file);
+
+  const jobId = uuidv4();
+  await jobRegistry.createJob({
+    jobId,
+    type: 'batch',
+    input: {
+      collection_type: 'list',
+      youtube_urls: urls,
+      transcription_provider: options.transcriptionProvider,
+      detectors: options.detectors,
+      language: options.language,
+      force_refresh: options.forceRefresh
+    }
+  });
+
+  const stopHandling = handleInterrupt(() => {
+    pipeline.cancelBatch(jobRegistry.getJob(jobId)).catch(console.error);
+  });
+  let report;
+  try {
+    report = await pipeline.runBatch(jobId);
+  } catch (error) {
+    return EXIT_FAILED;
+  } finally {
+    stopHandling();
+  }
+  if (!report) {
+    return EXIT_INTERRUPTED;
+  }
+
+  if (options.outDir) {
+    await fs.mkdir(options.outDir, { recursive: true });
+    for (const video of report.videos.filter(v => v.status === 'completed')) {
+      const result = await storageBackends.readResult(video.job_id);
+      const name = resultCache.extractVideoId(video.youtube_url) || video.job_id;
+      await fs.writeFile(path.join(options.outDir, `${name}.${extensionOf(options.format)}`), render(result, options.format));
+    }
+  }
+  await writeOutput(render(report, 'json'), options.out);
+  return batchExitCode(report);
+};
+
+// Resolves to the exit code; rejects with code USAGE on a bad command line
+const main = async (argv) => {
+  const { command, args, options } = parseArgs(argv);
+  if (options.help) {
+    await writeOutput(`${USAGE}\n`);
+    return EXIT_OK;
+  }
+  if (!COMMANDS.includes(command)) {
+    throw usageError(command ? `Unknown command "${command}"` : 'A command is required');
+  }
+  if (options['out-dir'] && command !== 'batch') {
+    throw usageError('--out-dir only applies to batch');
+  }
+
+  const resolved = await resolveOptions(options);
+  await pipeline.ensureDirectories();
+  storageBackends.checkBackend();
+
+  return command === 'run' ? runCommand(args, resolved) : batchCommand(args, resolved);
+};
+
+if (require.main === module) {
+  // The pipeline reports progress with console.log; stdout is for results
+  console.log = console.error;
+
+  main(process.argv.slice(2))
+    .catch(error => {
+      if (error.code === 'USAGE') {
+        console.error(`${error.message}\n\n${USAGE}`);
+        return EXIT_USAGE;
+      }
+      console.error(error);
+      return EXIT_FAILED;
+    })
+    // Exit explicitly: a leftover socket or browser must not keep cron waiting
+    .then(code => process.exit(code));
+}
+
+module.exports = {
+  EXIT_OK,
+  EXIT_FAILED,
+  EXIT_USAGE,
+  EXIT_PARTIAL,
+  EXIT_INTERRUPTED,
+  parseArgs,
+  readUrlList,
+  batchExitCode,
+  main
+};
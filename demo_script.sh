@@ -86,8 +86,11 @@ monitor_progress() {
     while [ $attempt -le $max_attempts ]; do
         STATUS_RESPONSE=$(curl -s "$SERVICE_URL/status/$JOB_ID")
         STATUS=$(echo "$STATUS_RESPONSE" | jq -r '.status')
+        PROGRESS=$(echo "$STATUS_RESPONSE" | jq -r '.progress // 0')
+        STAGE=$(echo "$STATUS_RESPONSE" | jq -r '.current_stage // "-"')
+        SEGMENTS=$(echo "$STATUS_RESPONSE" | jq -r 'if .segments.total then "\(.segments.done)/\(.segments.total)" else "-" end')
         
-        echo -n "Attempt $attempt/$max_attempts - Status: $STATUS"
+        echo -n "Attempt $attempt/$max_attempts - Status: $STATUS - Progress: ${PROGRESS}% - Stage: $STAGE - Segments: $SEGMENTS"
         
         if [ "$STATUS" = "completed" ]; then
             echo
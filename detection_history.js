@@ -0,0 +1,85 @@
+// AI detection runs of one result. POST /result/:id/redetect scores a stored
+// transcript again (say with GPTZero back after a rate limit) and replaces
+// the result's scores; every run, the first one included, is kept in
+// detection_history so runs can be compared. History entries are compact:
+// per-segment scores, the verdict and how each detector fared. The full
+// detector output of the current run stays in the transcript.
+
+// The processing_summary fields that depend on the AI scores
+const SUMMARY_FIELDS = [
+  'ai_segments',
+  'human_segments',
+  'average_ai_probability',
+  'weighted_ai_probability',
+  'confidence',
+  'scored_share',
+  'flagged_duration',
+  'flagged_share',
+  'verdict'
+];
+
+const pick = (source, fields) => fields.reduce((picked, field) => {
+  if (source && source[field] !== undefined) {
+    picked[field] = source[field];
+  }
+  return picked;
+}, {});
+
+// Results from before re-detection existed are at version 1
+const currentVersion = (result) => result.detection_version || 1;
+
+// One history entry for the detection a result currently carries
+const describeRun = (result, { version = currentVersion(result), jobId = result.job_id, timestamp = result.timestamp } = {}) => ({
+  version,
+  job_id: jobId,
+  timestamp,
+  ensemble: result.provenance?.ai_detection?.ensemble ?? null,
+  detectors: result.provenance?.ai_detection?.detectors ?? null,
+  summary: pick(result.processing_summary, SUMMARY_FIELDS),
+  segments: (result.transcript?.segments || []).map((segment, index) => ({
+    id: segment.id ?? index,
+    ai_probability: segment.ai_detection?.ai_probability ?? null,
+    classification: segment.ai_detection?.classification ?? null,
+    confidence: segment.ai_detection?.confidence ?? null
+  }))
+});
+
+// The transcript as it was before detection: scores, windows and the
+// analysis derived from them removed
+const clearDetections = (transcript) => {
+  const { detection_windows: windows, quality, speakers, ...rest } = transcript;
+  return {
+    ...rest,
+    segments: (transcript.segments || []).map(({ ai_detection: detection, transcript_quality: segmentQuality, ...segment }) => ({
+      ...segment,
+      ...(Array.isArray(segment.words) && {
+        words: segment.words.map(({ window, ai_probability: probability, ...word }) => word)
+      })
+    }))
+  };
+};
+
+// updated (previous with its new scores) with the run recorded as the next
+// version. jobId is the re-detection job that produced it.
+const addRun = (previous, updated, { jobId, timestamp }) => {
+  const history = previous.detection_history || [describeRun(previous)];
+  const version = history[history.length - 1].version + 1;
+  return {
+    ...updated,
+    detection_version: version,
+    detection_history: [...history, describeRun(updated, { version, jobId, timestamp })]
+  };
+};
+
+// The entry of one version, or null
+const findRun = (result, version) => (result.detection_history || [describeRun(result)])
+  .find(run => run.version === version) || null;
+
+module.exports = {
+  SUMMARY_FIELDS,
+  currentVersion,
+  describeRun,
+  clearDetections,
+  addRun,
+  findRun
+};
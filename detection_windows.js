@@ -0,0 +1,198 @@
+const aiDetectors = require('./ai_detectors');
+
+// Provider segments are often a few words long (song lyrics, quick
+// back-and-forth), too short for a detector to score meaningfully. AI
+// detection therefore runs on windows rebuilt from the word timestamps:
+// consecutive words of one speaker are collected up to a sentence end once a
+// window holds DETECTION_MIN_TOKENS words, so windows are sentence- to
+// paragraph-sized. A window never spans two speakers, so each speaker's
+// score is their own; a speaker's turn too short to reach the minimum is
+// left unscored (too_short) rather than blended with the other side.
+// Window scores are then mapped back onto the segments (weighted by how many
+// of a segment's words fall in each window) and onto the individual words.
+
+const DETECTION_MIN_TOKENS = Math.max(1, parseInt(process.env.DETECTION_MIN_TOKENS, 10) || 40);
+const DETECTION_MAX_TOKENS = Math.max(DETECTION_MIN_TOKENS, parseInt(process.env.DETECTION_MAX_TOKENS, 10) || 200);
+
+// A pause this long (seconds) ends a window that has reached its minimum;
+// a speaker or language change always ends it
+const WINDOW_PAUSE_SECONDS = 2;
+
+const SENTENCE_END = /[.!?]["')\]]*$/;
+
+const round = (value, digits = 3) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Part of the detection cache key: other window sizes give other scores.
+// "speaker" marks windows split on every speaker change; detections cached
+// from windows that could span speakers are not reused.
+const describeSegmentation = ({ minTokens = DETECTION_MIN_TOKENS, maxTokens = DETECTION_MAX_TOKENS } = {}) => `speaker-words:${minTokens}-${maxTokens}`;
+
+// A segment's words; segments without word timings are split on whitespace
+// and spread evenly over the segment. word is the index into segment.words.
+const segmentTokens = (segment) => {
+  if (Array.isArray(segment.words) && segment.words.length > 0) {
+    return segment.words
+      .map((w, index) => ({ text: String(w.word ?? '').trim(), start: w.start, end: w.end, word: index }))
+      .filter(token => token.text.length > 0);
+  }
+  const parts = (segment.text || '').split(/\s+/).filter(Boolean);
+  const step = parts.length > 0 ? (segment.end - segment.start) / parts.length : 0;
+  return parts.map((text, i) => ({ text, start: segment.start + i * step, end: segment.start + (i + 1) * step, word: null }));
+};
+
+// The value covering most tokens
+const mostCommon = (tokens, key) => {
+  const counts = new Map();
+  for (const token of tokens) {
+    counts.set(token[key], (counts.get(token[key]) || 0) + 1);
+  }
+  return Array.from(counts.entries()).sort((a, b) => b[1] - a[1])[0][0];
+};
+
+const describeWindow = (tokens, id, segments, minTokens) => ({
+  id,
+  text: tokens.map(token => token.text).join(' '),
+  start: tokens[0].start,
+  end: tokens[tokens.length - 1].end,
+  speaker: mostCommon(tokens, 'speaker'),
+  language: mostCommon(tokens, 'language'),
+  token_count: tokens.length,
+  too_short: tokens.length < minTokens,
+  segment_ids: Array.from(new Set(tokens.map(token => segments[token.segment].id ?? token.segment))),
+  tokens
+});
+
+// Windows over the whole transcript, in order. Each keeps its tokens
+// ({ text, start, end, segment, word }) for mapping scores back.
+const buildWindows = (segments, { minTokens = DETECTION_MIN_TOKENS, maxTokens = DETECTION_MAX_TOKENS } = {}) => {
+  const windows = [];
+  let current = [];
+
+  const flush = () => {
+    if (current.length > 0) {
+      windows.push(current);
+    }
+    current = [];
+  };
+
+  segments.forEach((segment, segmentIndex) => {
+    for (const token of segmentTokens(segment)) {
+      const previous = current[current.length - 1];
+      if (previous) {
+        const languageChanged = Boolean(previous.language && segment.language) && previous.language !== segment.language;
+        const speakerChanged = previous.speaker !== segment.speaker;
+        const paused = token.start - previous.end > WINDOW_PAUSE_SECONDS;
+        if (languageChanged || speakerChanged || (paused && current.length >= minTokens)) {
+          flush();
+        }
+      }
+
+      current.push({ ...token, segment: segmentIndex, speaker: segment.speaker, language: segment.language || null });
+
+      if (current.length >= maxTokens || (current.length >= minTokens && SENTENCE_END.test(token.text))) {
+        flush();
+      }
+    }
+  });
+
+  // A short tail joins the window before it when they can be scored
+  // together: same speaker, same language
+  const last = windows[windows.length - 1];
+  if (current.length > 0 && current.length < minTokens && last
+    && last.length + current.length <= maxTokens
+    && last[last.length - 1].speaker === current[0].speaker
+    && last[last.length - 1].language === current[0].language) {
+    last.push(...current);
+    current = [];
+  }
+  flush();
+
+  return windows.map((tokens, id) => describeWindow(tokens, id, segments, minTokens));
+};
+
+// For every segment, the windows its words fall in: [{ id, tokens }]
+const mapSegmentsToWindows = (segments, windows) => {
+  const coverage = segments.map(() => new Map());
+  for (const window of windows) {
+    for (const token of window.tokens) {
+      const counts = coverage[token.segment];
+      counts.set(window.id, (counts.get(window.id) || 0) + 1);
+    }
+  }
+  return coverage.map(counts => Array.from(counts.entries()).map(([id, tokens]) => ({ id, tokens })));
+};
+
+const isScored = (detection) => Boolean(detection)
+  && typeof detection.ai_probability === 'number'
+  && !aiDetectors.UNSCORED_CLASSIFICATIONS.includes(detection.classification);
+
+// Token-weighted combination of the windows a segment falls in; windows
+// that could not be scored only count when none could
+const combineDetections = (parts) => {
+  if (parts.length === 0) {
+    return { ai_probability: 0, classification: 'insufficient_text', confidence: 0, method: 'skipped' };
+  }
+
+  const windows = parts.map(({ window, tokens }) => ({ id: window.id, tokens }));
+  const scored = parts.filter(({ window }) => isScored(window.ai_detection));
+  if (scored.length === 0) {
+    const { ai_probability: aiProbability, classification, confidence, error } = parts[0].window.ai_detection;
+    return { ai_probability: aiProbability, classification, confidence, method: 'windowed', ...(error && { error }), windows };
+  }
+
+  const tokens = scored.reduce((sum, { tokens: count }) => sum + count, 0);
+  const weighted = (field) => scored.reduce((sum, { window, tokens: count }) => sum + count * (window.ai_detection[field] || 0), 0) / tokens;
+  const aiProbability = weighted('ai_probability');
+
+  return {
+    ai_probability: round(aiProbability),
+    classification: aiProbability > aiDetectors.AI_THRESHOLD ? 'ai' : 'human',
+    confidence: round(weighted('confidence')),
+    method: 'windowed',
+    scored_by: Array.from(new Set(scored.flatMap(({ window }) => window.ai_detection.scored_by || []))),
+    windows
+  };
+};
+
+// The segment with its combined score, and each of its words with the
+// score of the window it was scored in
+const applyScores = (segment, segmentIndex, coverage, windows) => {
+  const parts = coverage.map(({ id, tokens }) => ({ window: windows[id], tokens }));
+  const scored = { ...segment, ai_detection: combineDetections(parts) };
+
+  if (Array.isArray(segment.words) && segment.words.length > 0) {
+    const wordWindows = new Map();
+    for (const { window } of parts) {
+      for (const token of window.tokens) {
+        if (token.segment === segmentIndex && token.word !== null) {
+          wordWindows.set(token.word, window);
+        }
+      }
+    }
+    scored.words = segment.words.map((word, index) => {
+      const window = wordWindows.get(index);
+      if (!window) {
+        return word;
+      }
+      return {
+        ...word,
+        window: window.id,
+        ai_probability: isScored(window.ai_detection) ? window.ai_detection.ai_probability : null
+      };
+    });
+  }
+  return scored;
+};
+
+// Window as reported in results, without its token bookkeeping
+const describeScoredWindow = ({ tokens, ...window }) => window;
+
+module.exports = {
+  DETECTION_MIN_TOKENS,
+  DETECTION_MAX_TOKENS,
+  describeSegmentation,
+  buildWindows,
+  mapSegmentsToWindows,
+  applyScores,
+  describeScoredWindow
+};
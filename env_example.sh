@@ -7,12 +7,64 @@ NODE_ENV=development
 PORT=8080
 EOF
 
+# Transcription Providers (Optional)
+# elevenlabs | whisper; when unset the first configured provider is used
+TRANSCRIPTION_PROVIDER=elevenlabs
+ELEVENLABS_MODEL_ID=scribe_v1
+WHISPER_CPP_BIN=whisper-cli
+WHISPER_MODEL_PATH=./models/ggml-base.en.bin
+WHISPER_THREADS=2
+
+# Audio Preprocessing (Optional)
+# Upload format for transcription: wav, flac or opus
+AUDIO_FORMAT=wav
+AUDIO_LOUDNORM=true
+AUDIO_CHUNK_SECONDS=900
+AUDIO_CHUNK_OVERLAP_SECONDS=2
+TRANSCRIPTION_CONCURRENCY=3
+
+# AI Detection Ensemble (Optional)
+# Comma-separated detector:weight pairs; available: gptzero, statistical
+AI_DETECTORS=gptzero:0.6,statistical:0.4
+# Words per window scored by the detectors
+DETECTION_MIN_TOKENS=40
+DETECTION_MAX_TOKENS=200
+# Weighted AI probability at or above which the verdict is likely_ai
+AI_VERDICT_THRESHOLD=0.5
+# Word probability under which transcribed words count as low confidence
+TRANSCRIPT_LOW_CONFIDENCE=0.5
+
+# Webhook Callbacks (Optional)
+# Required for callback_url; used to sign X-Webhook-Signature
+WEBHOOK_SECRET=change-me-to-a-long-random-string
+WEBHOOK_MAX_ATTEMPTS=6
+# Hosts that may receive callbacks at private addresses, comma-separated
+WEBHOOK_ALLOWED_HOSTS=
+
 # Advanced Configuration (Optional)
 MAX_CONCURRENT_JOBS=5
+BATCH_MAX_VIDEOS=25
+FRAME_INTERVAL_SECONDS=10
+SCENE_CHANGE_THRESHOLD=0.3
+MAX_FRAMES=60
 MAX_VIDEO_DURATION=3600
 CLEANUP_TEMP_FILES=true
 LOG_LEVEL=info
 
+# External API Client (Optional)
+ELEVENLABS_TIMEOUT_MS=600000
+GPTZERO_TIMEOUT_MS=30000
+YOUTUBE_CHANNEL_TIMEOUT_MS=15000
+HTTP_MAX_ATTEMPTS=3
+HTTP_BASE_DELAY_MS=1000
+HTTP_MAX_RETRY_AFTER_MS=60000
+CIRCUIT_FAILURE_THRESHOLD=5
+CIRCUIT_COOLDOWN_MS=60000
+
+# API Keys (Optional)
+# JSON list of { name, key, rate_limit, daily_audio_minutes, admin }; unset leaves the API open
+API_KEYS_FILE=./api_keys.json
+
 # API Rate Limits (Optional)
 RATE_LIMIT_WINDOW_MS=900000
 RATE_LIMIT_MAX_REQUESTS=10
@@ -20,3 +72,25 @@ RATE_LIMIT_MAX_REQUESTS=10
 # File Storage Configuration (Optional)
 MAX_FILE_SIZE_MB=100
 STORAGE_PATH=./data
+# Per-directory overrides: UPLOADS_PATH, RESULTS_PATH, SCREENSHOTS_PATH, AUDIO_PATH, FRAMES_PATH, JOBS_PATH, CACHE_PATH, USAGE_PATH
+
+# Storage Backend (Optional): local or s3 (any S3-compatible store, e.g. MinIO)
+STORAGE_BACKEND=local
+# S3_ENDPOINT=http://minio:9000
+# S3_REGION=us-east-1
+# S3_BUCKET=youtube-analysis
+# S3_PREFIX=
+# S3_ACCESS_KEY_ID=
+# S3_SECRET_ACCESS_KEY=
+# S3_FORCE_PATH_STYLE=true
+# S3_URL_MODE=presign
+# S3_PRESIGN_EXPIRES_SECONDS=900
+
+# Retention in hours (0 keeps files forever)
+CLEANUP_INTERVAL_MINUTES=60
+RESULTS_TTL_HOURS=720
+AUDIO_TTL_HOURS=24
+SCREENSHOTS_TTL_HOURS=168
+FRAMES_TTL_HOURS=168
+UPLOADS_TTL_HOURS=24
+CACHE_TTL_HOURS=720
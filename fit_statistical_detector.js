@@ -0,0 +1,315 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const subtlex = require('subtlex-word-frequencies');
+const sotu = require('@stdlib/datasets-sotu');
+const spamAssassin = require('@stdlib/datasets-spam-assassin');
+const statisticalDetector = require('./statistical_detector');
+const aiSamples = require('./ai_text_samples.json');
+
+// Rebuilds language_model_en.json for statistical_detector.js: the unigram
+// vocabulary from SUBTLEX-US subtitle word counts, and the classifier fitted
+// on labelled passages. Human-written passages come from State of the Union
+// addresses, Reuters-21578 news stories and SpamAssassin ham email;
+// AI-written ones from ai_text_samples.json. The corpora are devDependencies,
+// so run `npm run fit:detector` after `npm install`.
+
+const MODEL_PATH = path.join(__dirname, 'language_model_en.json');
+const VOCABULARY_SIZE = 20000;
+const FITTED_FEATURES = ['type_token_ratio', 'burstiness', 'function_word_divergence', 'log_perplexity', 'punctuation_entropy'];
+const PASSAGE_WORDS = { min: 50, max: 140 };
+const PASSAGES_PER_SOURCE = 150;
+const PASSAGES_PER_DOCUMENT = 5;
+const HELD_OUT_SHARE = 0.3;
+const SEED = 20261019;
+const L2_PENALTY = 0.01;
+const ITERATIONS = 4000;
+const LEARNING_RATE = 0.2;
+// Quoted by the human-prose test in test_file.js, so kept out of the fit
+const TEST_DOCUMENTS = ['sotu:2000', 'reuters:2195'];
+
+const round = (value, digits = 4) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Small seeded PRNG so every run picks the same passages and split
+const createRandom = (seed) => () => {
+  seed = (seed + 0x6D2B79F5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+const shuffle = (items, random) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+const countWords = (text) => statisticalDetector.tokenize(text).length;
+
+// SUBTLEX lists capitalised forms separately ("What", "what"); merge them
+// and keep the most frequent plain words
+const buildVocabulary = () => {
+  const counts = new Map();
+  for (const { word, count } of subtlex) {
+    const lower = word.toLowerCase();
+    counts.set(lower, (counts.get(lower) || 0) + count);
+  }
+  const ranked = [...counts].filter(([word]) => /^[a-z]+$/.test(word)).sort((a, b) => b[1] - a[1]);
+  const corpusTokens = ranked.reduce((sum, [, count]) => sum + count, 0);
+  const kept = ranked.slice(0, VOCABULARY_SIZE);
+  const unseen = ranked.slice(VOCABULARY_SIZE);
+
+  return {
+    corpus_tokens: corpusTokens,
+    unseen: { types: unseen.length, tokens: unseen.reduce((sum, [, count]) => sum + count, 0) },
+    vocabulary: Object.fromEntries(kept)
+  };
+};
+
+// Cut a document into passages of whole sentences, about as long as the
+// detection windows the detector scores
+const toPassages = (text, random) => {
+  const sentences = text.split(/(?<=[.!?])\s+/).map(s => s.trim()).filter(Boolean);
+  const passages = [];
+  let current = [];
+  let words = 0;
+  let target = PASSAGE_WORDS.min + Math.floor(random() * (PASSAGE_WORDS.max - PASSAGE_WORDS.min));
+
+  for (const sentence of sentences) {
+    current.push(sentence);
+    words += countWords(sentence);
+    if (words >= target) {
+      if (words <= PASSAGE_WORDS.max) {
+        passages.push(current.join(' '));
+      }
+      current = [];
+      words = 0;
+      target = PASSAGE_WORDS.min + Math.floor(random() * (PASSAGE_WORDS.max - PASSAGE_WORDS.min));
+    }
+  }
+  return passages;
+};
+
+// Addresses since 1990, so the era of the language is not what gets learnt
+const speechDocuments = () => sotu({ range: [1990, 2021] }).map(address => ({
+  id: `sotu:${address.year}`,
+  text: address.text.replace(/\s+/g, ' ')
+}));
+
+// Reuters stories without the wire furniture, skipping price tables and
+// figure-heavy briefs
+const newsDocuments = () => {
+  const dataDir = path.join(path.dirname(require.resolve('reuters-21578-json/package.json')), 'data', 'full');
+  return fs.readdirSync(dataDir).sort()
+    .flatMap(file => JSON.parse(fs.readFileSync(path.join(dataDir, file), 'utf8')))
+    .filter(story => story.body)
+    .map(story => ({
+      id: `reuters:${story.id}`,
+      text: story.body.replace(/\s*reuter\s*\u0003?\s*$/i, '').replace(/\s+/g, ' ').trim()
+    }))
+    .filter(story => {
+      const tokens = story.text.split(' ');
+      return tokens.length >= PASSAGE_WORDS.min && tokens.filter(t => /\d/.test(t)).length / tokens.length < 0.08;
+    });
+};
+
+// Plain-text ham email bodies with quotes, signatures and links removed
+const emailDocuments = () => spamAssassin()
+  .filter(message => message.group.includes('ham'))
+  .map(message => {
+    const split = message.text.indexOf('\n\n');
+    const headers = message.text.slice(0, split);
+    if (split < 0 || /content-type:\s*(text\/html|multipart)/i.test(headers) || /content-transfer-encoding:\s*base64/i.test(headers)) {
+      return null;
+    }
+    const lines = [];
+    for (const line of message.text.slice(split + 2).split('\n')) {
+      if (/^(--\s*|_{5,}.*|-{5,}.*)$/.test(line.trim())) {
+        break;
+      }
+      if (!/^\s*>|wrote:\s*$|https?:\/\/|www\.|@/.test(line)) {
+        lines.push(line);
+      }
+    }
+    const text = lines.join('\n').split(/\n\s*\n/)
+      .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+      .filter(paragraph => {
+        const letters = paragraph.replace(/[^a-zA-Z]/g, '').length;
+        return countWords(paragraph) >= 25 && letters / paragraph.replace(/\s/g, '').length > 0.85 && /[.!?]/.test(paragraph);
+      })
+      .join(' ');
+    return { id: `email:${message.id}`, text };
+  })
+  .filter(email => email && countWords(email.text) >= PASSAGE_WORDS.min);
+
+// Up to PASSAGES_PER_SOURCE passages, a few per document so no single speech
+// dominates
+const humanPassages = (source, documents, random) => shuffle(documents, random)
+  .filter(document => !TEST_DOCUMENTS.includes(document.id))
+  .flatMap(document => shuffle(toPassages(document.text, random), random).slice(0, PASSAGES_PER_DOCUMENT)
+    .map(text => ({ source, document: document.id, label: 0, text })))
+  .slice(0, PASSAGES_PER_SOURCE);
+
+// Split by document, per source, so passages from one speech never end up on
+// both sides
+const splitHeldOut = (passages, random) => {
+  const heldOut = new Set();
+  for (const source of new Set(passages.map(p => p.source))) {
+    const documents = shuffle([...new Set(passages.filter(p => p.source === source).map(p => p.document))], random);
+    documents.slice(0, Math.round(documents.length * HELD_OUT_SHARE)).forEach(document => heldOut.add(document));
+  }
+  return {
+    training: passages.filter(p => !heldOut.has(p.document)),
+    heldOut: passages.filter(p => heldOut.has(p.document))
+  };
+};
+
+const standardise = (value, { mean, std }) => (value === null ? 0 : Math.max(-3, Math.min(3, (value - mean) / std)));
+
+const toVector = (features, standardisation) => FITTED_FEATURES.map(name => standardise(features[name], standardisation[name]));
+
+const sigmoid = (z) => 1 / (1 + Math.exp(-z));
+
+// Mean and standard deviation of each feature over the training passages
+// that measured it
+const fitStandardisation = (samples) => Object.fromEntries(FITTED_FEATURES.map(name => {
+  const values = samples.map(s => s.features[name]).filter(v => v !== null);
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  const std = Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length);
+  return [name, { mean: round(mean), std: round(std) }];
+}));
+
+// Each class carries half the total weight, so the fitted bias and the
+// metrics assume even prior odds of human and AI rather than the mix of this
+// sample
+const classWeights = (labels) => {
+  const positives = labels.filter(Boolean).length;
+  return labels.map(label => (label ? 0.5 / positives : 0.5 / (labels.length - positives)));
+};
+
+// L2-regularised logistic regression by full-batch gradient descent
+const fitLogistic = (vectors, labels) => {
+  const sampleWeight = classWeights(labels);
+  const weights = new Array(FITTED_FEATURES.length).fill(0);
+  let bias = 0;
+
+  for (let iteration = 0; iteration < ITERATIONS; iteration++) {
+    const gradient = weights.map(w => L2_PENALTY * w);
+    let biasGradient = 0;
+    vectors.forEach((x, i) => {
+      const error = (sigmoid(bias + x.reduce((sum, v, j) => sum + v * weights[j], 0)) - labels[i]) * sampleWeight[i];
+      x.forEach((v, j) => { gradient[j] += error * v; });
+      biasGradient += error;
+    });
+    weights.forEach((w, j) => { weights[j] = w - LEARNING_RATE * gradient[j]; });
+    bias -= LEARNING_RATE * biasGradient;
+  }
+  return { weights, bias };
+};
+
+// Probability that a random AI passage scores above a random human one
+const areaUnderCurve = (scores, labels) => {
+  const ai = scores.filter((_, i) => labels[i]);
+  const human = scores.filter((_, i) => !labels[i]);
+  let wins = 0;
+  for (const a of ai) {
+    for (const h of human) {
+      wins += a > h ? 1 : a === h ? 0.5 : 0;
+    }
+  }
+  return wins / (ai.length * human.length);
+};
+
+// Class-balanced accuracy, Brier score and log loss, plus how often each
+// source was classified AI
+const evaluate = (samples, probabilities) => {
+  const labels = samples.map(s => s.label);
+  const weights = classWeights(labels);
+  const weightedMean = (values) => values.reduce((sum, v, i) => sum + v * weights[i], 0);
+  const bySource = {};
+  samples.forEach((s, i) => {
+    const entry = bySource[s.source] || (bySource[s.source] = { passages: 0, classified_ai: 0 });
+    entry.passages++;
+    entry.classified_ai += probabilities[i] > 0.5 ? 1 : 0;
+  });
+  for (const entry of Object.values(bySource)) {
+    entry.classified_ai = round(entry.classified_ai / entry.passages, 3);
+  }
+
+  // Mean predicted probability against the observed AI share, in five bands
+  const reliability = [0, 0.2, 0.4, 0.6, 0.8].map(low => {
+    const inBand = probabilities.map((p, i) => i).filter(i => probabilities[i] >= low && (probabilities[i] < low + 0.2 || low === 0.8));
+    const bandWeight = inBand.reduce((sum, i) => sum + weights[i], 0);
+    return {
+      range: [low, round(low + 0.2, 1)],
+      passages: inBand.length,
+      mean_probability: inBand.length ? round(inBand.reduce((sum, i) => sum + probabilities[i] * weights[i], 0) / bandWeight, 3) : null,
+      observed_ai_share: inBand.length ? round(inBand.reduce((sum, i) => sum + labels[i] * weights[i], 0) / bandWeight, 3) : null
+    };
+  });
+
+  return {
+    passages: samples.length,
+    accuracy: round(weightedMean(probabilities.map((p, i) => ((p > 0.5 ? 1 : 0) === labels[i] ? 1 : 0))), 3),
+    auc: round(areaUnderCurve(probabilities, labels), 3),
+    brier: round(weightedMean(probabilities.map((p, i) => (p - labels[i]) ** 2)), 3),
+    log_loss: round(weightedMean(probabilities.map((p, i) => -Math.log(Math.max(1e-12, labels[i] ? p : 1 - p)))), 3),
+    by_source: bySource,
+    reliability
+  };
+};
+
+const fit = () => {
+  const previous = JSON.parse(fs.readFileSync(MODEL_PATH, 'utf8'));
+  const model = { ...previous, ...buildVocabulary() };
+  const extractFeatures = statisticalDetector.buildFeatureExtractor(model);
+  const random = createRandom(SEED);
+
+  console.log(`📚 Vocabulary: ${Object.keys(model.vocabulary).length} words from ${model.corpus_tokens} SUBTLEX-US tokens`);
+
+  const passages = [
+    ...humanPassages('speech', speechDocuments(), random),
+    ...humanPassages('news', newsDocuments(), random),
+    ...humanPassages('email', emailDocuments(), random),
+    ...aiSamples.samples.map((sample, i) => ({ source: 'ai', document: `ai:${i}`, label: 1, text: sample.text }))
+  ].map(passage => ({ ...passage, features: extractFeatures(passage.text) }));
+
+  const { training, heldOut } = splitHeldOut(passages, random);
+  console.log(`✂️ ${training.length} training and ${heldOut.length} held-out passages`);
+
+  const standardisation = fitStandardisation(training);
+  const { weights, bias } = fitLogistic(training.map(s => toVector(s.features, standardisation)), training.map(s => s.label));
+  const score = (samples) => samples.map(s => sigmoid(bias + toVector(s.features, standardisation).reduce((sum, v, j) => sum + v * weights[j], 0)));
+
+  model.classifier = {
+    weights: Object.fromEntries(FITTED_FEATURES.map((name, j) => [name, round(weights[j])])),
+    bias: round(bias),
+    standardisation,
+    fit: {
+      method: 'logistic regression, L2 penalty, classes weighted equally',
+      human_sources: ['State of the Union addresses 1990-2021 (speech)', 'Reuters-21578 news stories (news)', 'SpamAssassin ham email (email)'],
+      ai_source: 'ai_text_samples.json',
+      passage_words: [PASSAGE_WORDS.min, PASSAGE_WORDS.max],
+      seed: SEED,
+      training: evaluate(training, score(training)),
+      held_out: evaluate(heldOut, score(heldOut))
+    }
+  };
+
+  // Vocabulary last, so the classifier is readable at the top of the file
+  const { corpus_tokens: corpusTokens, unseen, vocabulary, ...rest } = model;
+  fs.writeFileSync(MODEL_PATH, `${JSON.stringify({ ...rest, corpus_tokens: corpusTokens, unseen, vocabulary }, null, 2)}\n`);
+
+  const { held_out: metrics } = model.classifier.fit;
+  console.log(`✅ Held out: accuracy ${metrics.accuracy}, AUC ${metrics.auc}, Brier ${metrics.brier}, log loss ${metrics.log_loss}`);
+  for (const [source, { passages: count, classified_ai: share }] of Object.entries(metrics.by_source)) {
+    console.log(`   ${source}: ${count} passages, ${share} classified AI`);
+  }
+  console.log(`💾 Wrote ${MODEL_PATH}`);
+};
+
+fit();
@@ -0,0 +1,139 @@
+const ffmpeg = require('fluent-ffmpeg');
+const path = require('path');
+const jobQueue = require('./job_queue');
+const storagePaths = require('./storage_paths');
+
+// Frames sampled from the video itself: one every FRAME_INTERVAL_SECONDS,
+// plus one whenever ffmpeg's scene score jumps above SCENE_CHANGE_THRESHOLD.
+// Both come out of a single decoding pass, and a contact sheet tiles them
+// into one image for reviewers.
+//   frames/<job_id>/frame_0001.jpg, ...
+//   frames/<job_id>/contact_sheet.jpg
+
+const FRAMES_DIR = storagePaths.STORAGE_DIRS.frames;
+const FRAME_INTERVAL_SECONDS = parseFloat(process.env.FRAME_INTERVAL_SECONDS) || 10;
+const SCENE_CHANGE_THRESHOLD = parseFloat(process.env.SCENE_CHANGE_THRESHOLD) || 0.3;
+const MAX_FRAMES = parseInt(process.env.MAX_FRAMES, 10) || 60;
+
+const FRAME_WIDTH = 640;
+const SHEET_COLUMNS = 5;
+const SHEET_THUMB_WIDTH = 320;
+
+// YouTube frames come from a video-only stream no taller than this
+const SOURCE_MAX_HEIGHT = 480;
+
+const FRAME_PATTERN = 'frame_%04d.jpg';
+const CONTACT_SHEET = 'contact_sheet.jpg';
+
+const frameDir = (jobId) => path.join(FRAMES_DIR, jobId);
+
+const frameFileName = (index) => `frame_${String(index + 1).padStart(4, '0')}.jpg`;
+
+// showinfo logs one line per frame that passed the select filter
+const SHOWINFO_PATTERN = /Parsed_showinfo.*\bpts_time:\s*(-?[\d.]+)/;
+
+const parseShowinfoLine = (line) => {
+  const match = line.match(SHOWINFO_PATTERN);
+  return match ? parseFloat(match[1]) : null;
+};
+
+// The select expression keeps a frame when it is the first one, when the
+// interval has passed since the last kept frame, or on a scene change; the
+// first two are interval frames, anything else was kept for its scene score
+const classifyFrames = (timestamps, interval = FRAME_INTERVAL_SECONDS) => timestamps.map((timestamp, index) => ({
+  index,
+  timestamp: Math.round(timestamp * 1000) / 1000,
+  kind: index === 0 || timestamp - timestamps[index - 1] >= interval - 1e-6 ? 'interval' : 'scene_change'
+}));
+
+// Runs one ffmpeg command, killing it when the job is cancelled
+const runCommand = (command, signal, failureMessage) => new Promise((resolve, reject) => {
+  jobQueue.throwIfCancelled(signal);
+
+  const abort = () => command.kill('SIGKILL');
+  command
+    .on('error', (err) => {
+      signal?.removeEventListener('abort', abort);
+      reject(signal?.aborted ? jobQueue.createCancelledError() : new Error(`${failureMessage}: ${err.message}`));
+    })
+    .on('end', () => {
+      signal?.removeEventListener('abort', abort);
+      resolve();
+    });
+  signal?.addEventListener('abort', abort, { once: true });
+
+  command.run();
+});
+
+// Extract frames from input (a file path or a video stream) into outputDir.
+// Returns [{ index, timestamp, kind, file }] in playback order.
+const captureFrames = async (input, outputDir, { signal } = {}) => {
+  const timestamps = [];
+  const select = `select='isnan(prev_selected_t)+gte(t-prev_selected_t,${FRAME_INTERVAL_SECONDS})+gt(scene,${SCENE_CHANGE_THRESHOLD})'`;
+
+  const command = ffmpeg(input)
+    .noAudio()
+    .videoFilters([select, 'showinfo', `scale=${FRAME_WIDTH}:-2`])
+    .outputOptions(['-vsync vfr', `-frames:v ${MAX_FRAMES}`, '-q:v 3'])
+    .output(path.join(outputDir, FRAME_PATTERN))
+    .on('stderr', (line) => {
+      const timestamp = parseShowinfoLine(line);
+      if (timestamp !== null) {
+        timestamps.push(timestamp);
+      }
+    });
+
+  try {
+    await runCommand(command, signal, 'Frame capture failed');
+  } finally {
+    if (typeof input.destroy === 'function') {
+      input.destroy();
+    }
+  }
+
+  // showinfo sees every kept frame, but -frames:v stops writing at MAX_FRAMES
+  return classifyFrames(timestamps.slice(0, MAX_FRAMES)).map(frame => ({ ...frame, file: frameFileName(frame.index) }));
+};
+
+// Tile the extracted frames into a single image, SHEET_COLUMNS across
+const buildContactSheet = async (outputDir, frameCount, { signal } = {}) => {
+  const rows = Math.ceil(frameCount / SHEET_COLUMNS);
+  const columns = Math.min(frameCount, SHEET_COLUMNS);
+
+  const command = ffmpeg(path.join(outputDir, FRAME_PATTERN))
+    .inputOptions(['-start_number 1'])
+    .videoFilters([`scale=${SHEET_THUMB_WIDTH}:-2`, `tile=${columns}x${rows}:padding=4:margin=4`])
+    .outputOptions(['-frames:v 1', '-q:v 3'])
+    .output(path.join(outputDir, CONTACT_SHEET));
+
+  await runCommand(command, signal, 'Contact sheet failed');
+  return CONTACT_SHEET;
+};
+
+// Attach the transcript segment being spoken at each frame's timestamp;
+// where segments overlap the one that started last wins
+const linkFramesToSegments = (frames, segments = []) => frames.map(frame => {
+  const covering = segments
+    .filter(segment => segment.start <= frame.timestamp && frame.timestamp < segment.end)
+    .sort((a, b) => b.start - a.start)[0];
+  return {
+    ...frame,
+    segment_id: covering ? covering.id : null,
+    speaker: covering?.speaker || null
+  };
+});
+
+module.exports = {
+  FRAMES_DIR,
+  FRAME_INTERVAL_SECONDS,
+  SCENE_CHANGE_THRESHOLD,
+  MAX_FRAMES,
+  SOURCE_MAX_HEIGHT,
+  CONTACT_SHEET,
+  frameDir,
+  parseShowinfoLine,
+  classifyFrames,
+  captureFrames,
+  buildContactSheet,
+  linkFramesToSegments
+};
@@ -0,0 +1,230 @@
+const axios = require('axios');
+
+// Shared HTTP client for external APIs (ElevenLabs, GPTZero, ...). Each
+// provider gets its own client with:
+//   - a timeout on every request
+//   - retries with jittered exponential backoff on network errors, timeouts,
+//     408, 429 and 5xx; a Retry-After header sets the wait instead
+//   - a circuit breaker: after CIRCUIT_FAILURE_THRESHOLD failed calls in a
+//     row the provider is skipped for CIRCUIT_COOLDOWN_MS, then a single
+//     trial call decides whether it is back
+// Any other response (a 400, a 401) means the provider is up and is
+// returned to the caller as is.
+
+const CIRCUIT_OPEN = 'CIRCUIT_OPEN';
+
+const HTTP_MAX_ATTEMPTS = Math.max(1, parseInt(process.env.HTTP_MAX_ATTEMPTS, 10) || 3);
+const HTTP_BASE_DELAY_MS = parseInt(process.env.HTTP_BASE_DELAY_MS, 10) || 1000;
+const HTTP_MAX_DELAY_MS = 30000;
+// A longer Retry-After is not waited out; the circuit opens until then
+const HTTP_MAX_RETRY_AFTER_MS = parseInt(process.env.HTTP_MAX_RETRY_AFTER_MS, 10) || 60000;
+
+const CIRCUIT_FAILURE_THRESHOLD = Math.max(1, parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD, 10) || 5);
+const CIRCUIT_COOLDOWN_MS = parseInt(process.env.CIRCUIT_COOLDOWN_MS, 10) || 60000;
+
+const clients = new Map();
+
+const isRetryableStatus = (status) => status === 408 || status === 429 || status >= 500;
+
+// Retry-After in seconds or as an HTTP date; milliseconds from now, or null
+const parseRetryAfter = (value, now = Date.now()) => {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isFinite(date) ? Math.max(0, date - now) : null;
+};
+
+// Full jitter: anywhere between 0 and 1s, 2s, 4s, ... capped at maxDelayMs
+const backoffDelay = (attempt, { baseDelayMs = HTTP_BASE_DELAY_MS, maxDelayMs = HTTP_MAX_DELAY_MS, random = Math.random } = {}) => (
+  Math.round(random() * Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1)))
+);
+
+// Resolves after ms, or rejects as soon as signal aborts
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    return reject(new axios.CanceledError());
+  }
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(new axios.CanceledError());
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+const describeFailure = (error) => (error.response ? `HTTP ${error.response.status}` : (error.code || error.message));
+
+const createClient = (name, {
+  timeoutMs = 30000,
+  maxAttempts = HTTP_MAX_ATTEMPTS,
+  baseDelayMs = HTTP_BASE_DELAY_MS,
+  maxDelayMs = HTTP_MAX_DELAY_MS,
+  maxRetryAfterMs = HTTP_MAX_RETRY_AFTER_MS,
+  failureThreshold = CIRCUIT_FAILURE_THRESHOLD,
+  cooldownMs = CIRCUIT_COOLDOWN_MS,
+  sleep = wait
+} = {}) => {
+  const circuit = {
+    state: 'closed',
+    failures: 0,
+    openedAt: null,
+    retryAt: null,
+    trialInFlight: false,
+    lastError: null
+  };
+
+  // An open circuit turns half-open once its cool-down has passed
+  const currentState = () => (circuit.state === 'open' && Date.now() >= circuit.retryAt ? 'half_open' : circuit.state);
+
+  const open = (openForMs = 0) => {
+    const now = Date.now();
+    circuit.state = 'open';
+    circuit.openedAt = now;
+    circuit.retryAt = now + Math.max(cooldownMs, openForMs);
+    console.log(`⚡ ${name} circuit opened after ${circuit.failures} failed calls (${circuit.lastError}), retrying after ${new Date(circuit.retryAt).toISOString()}`);
+  };
+
+  // Let a call through, or throw when the circuit is open. Returns whether
+  // the call is the half-open trial.
+  const admit = () => {
+    const state = currentState();
+    if (state === 'open' || (state === 'half_open' && circuit.trialInFlight)) {
+      const error = new Error(`${name} is unavailable after repeated failures, next attempt after ${new Date(circuit.retryAt).toISOString()}`);
+      error.code = CIRCUIT_OPEN;
+      error.retryAt = circuit.retryAt;
+      throw error;
+    }
+    circuit.state = state;
+    if (state === 'half_open') {
+      circuit.trialInFlight = true;
+      return true;
+    }
+    return false;
+  };
+
+  const succeed = () => {
+    if (circuit.state !== 'closed') {
+      console.log(`✅ ${name} circuit closed again`);
+    }
+    Object.assign(circuit, { state: 'closed', failures: 0, openedAt: null, retryAt: null, trialInFlight: false });
+  };
+
+  const fail = (error, openForMs, isTrial) => {
+    circuit.failures++;
+    circuit.lastError = describeFailure(error);
+    if (isTrial) {
+      circuit.trialInFlight = false;
+    }
+    if (circuit.state === 'half_open' || circuit.failures >= failureThreshold || openForMs) {
+      open(openForMs);
+    }
+  };
+
+  // A cancelled call says nothing about the provider
+  const release = (isTrial) => {
+    if (isTrial) {
+      circuit.trialInFlight = false;
+    }
+  };
+
+  // axios request config plus an optional signal. Resolves to the axios
+  // response with the number of attempts it took; errors carry it too.
+  const request = async (config) => {
+    const isTrial = admit();
+    const { signal } = config;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const response = await axios({ timeout: timeoutMs, ...config });
+        succeed();
+        response.attempts = attempt;
+        return response;
+      } catch (error) {
+        error.attempts = attempt;
+        if (axios.isCancel(error) || signal?.aborted) {
+          release(isTrial);
+          throw error;
+        }
+        if (error.response && !isRetryableStatus(error.response.status)) {
+          succeed();
+          throw error;
+        }
+
+        const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+        if (retryAfter !== null && retryAfter > maxRetryAfterMs) {
+          fail(error, retryAfter, isTrial);
+          throw error;
+        }
+        if (attempt >= maxAttempts) {
+          fail(error, 0, isTrial);
+          throw error;
+        }
+
+        const delay = retryAfter ?? backoffDelay(attempt, { baseDelayMs, maxDelayMs });
+        console.log(`🔁 ${name} request failed (${describeFailure(error)}), retry ${attempt}/${maxAttempts - 1} in ${delay}ms`);
+        try {
+          await sleep(delay, signal);
+        } catch (cancelled) {
+          release(isTrial);
+          throw cancelled;
+        }
+      }
+    }
+  };
+
+  const client = {
+    name,
+    request,
+    get: (url, config = {}) => request({ ...config, method: 'GET', url }),
+    post: (url, data, config = {}) => request({ ...config, method: 'POST', url, data }),
+
+    // Whether a call would be let through right now
+    isAvailable: () => {
+      const state = currentState();
+      return state === 'closed' || (state === 'half_open' && !circuit.trialInFlight);
+    },
+
+    getState: () => ({
+      state: currentState(),
+      consecutive_failures: circuit.failures,
+      last_error: circuit.lastError,
+      opened_at: circuit.openedAt ? new Date(circuit.openedAt).toISOString() : null,
+      retry_at: circuit.retryAt ? new Date(circuit.retryAt).toISOString() : null,
+      timeout_ms: timeoutMs,
+      max_attempts: maxAttempts
+    }),
+
+    reset: () => {
+      Object.assign(circuit, { state: 'closed', failures: 0, openedAt: null, retryAt: null, trialInFlight: false, lastError: null });
+    }
+  };
+
+  clients.set(name, client);
+  return client;
+};
+
+const getCircuitStates = () => {
+  const states = {};
+  for (const [name, client] of clients) {
+    states[name] = client.getState();
+  }
+  return states;
+};
+
+module.exports = {
+  CIRCUIT_OPEN,
+  HTTP_MAX_ATTEMPTS,
+  isRetryableStatus,
+  parseRetryAfter,
+  backoffDelay,
+  createClient,
+  getCircuitStates
+};
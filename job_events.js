@@ -0,0 +1,85 @@
+const { EventEmitter } = require('events');
+const jobRegistry = require('./job_registry');
+
+// Live event feed per job for GET /jobs/:id/events. Stage and status changes
+// are derived from job registry updates; the pipeline publishes 'transcript'
+// and 'segment' events itself. Events are buffered per job so a client that
+// connects late, or reconnects with Last-Event-ID, gets what it missed.
+// A job's buffer is dropped this long after the job finishes:
+const FEED_TTL_MS = 10 * 60 * 1000;
+
+const feeds = new Map();
+
+const getFeed = (jobId) => {
+  let feed = feeds.get(jobId);
+  if (!feed) {
+    feed = { events: [], nextId: 1, emitter: new EventEmitter(), stages: {}, status: null };
+    feed.emitter.setMaxListeners(0);
+    feeds.set(jobId, feed);
+  }
+  return feed;
+};
+
+const publish = (jobId, type, data) => {
+  const feed = getFeed(jobId);
+  const event = { id: feed.nextId++, type, data };
+  feed.events.push(event);
+  feed.emitter.emit('event', event);
+  return event;
+};
+
+// Replays buffered events after lastEventId, then calls listener for every
+// new one. Returns an unsubscribe function. A job that finished without a
+// feed here (before a restart, or its feed has expired) gets no new one:
+// nothing would ever publish to it or drop it.
+const subscribe = (jobId, lastEventId, listener) => {
+  const job = jobRegistry.getJob(jobId);
+  if (!feeds.has(jobId) && job && jobRegistry.isFinished(job)) {
+    return () => {};
+  }
+  const feed = getFeed(jobId);
+  feed.events.filter(event => event.id > lastEventId).forEach(listener);
+  feed.emitter.on('event', listener);
+  return () => feed.emitter.removeListener('event', listener);
+};
+
+const hasFinished = (jobId) => Boolean(feeds.get(jobId)?.events.some(event => event.type === 'done'));
+
+// Publish only what changed since the last registry update of this job
+jobRegistry.events.on('update', (job) => {
+  const feed = getFeed(job.job_id);
+
+  for (const [name, stage] of Object.entries(job.stages)) {
+    if (feed.stages[name] !== stage.status) {
+      feed.stages[name] = stage.status;
+      if (stage.status !== 'pending') {
+        publish(job.job_id, 'stage', {
+          stage: name,
+          status: stage.status,
+          error: stage.error,
+          progress: jobRegistry.getProgress(job)
+        });
+      }
+    }
+  }
+
+  if (feed.status !== job.status) {
+    feed.status = job.status;
+    publish(job.job_id, 'status', { status: job.status, progress: jobRegistry.getProgress(job), error: job.error });
+
+    if (jobRegistry.isFinished(job)) {
+      publish(job.job_id, 'done', { status: job.status, error: job.error });
+      setTimeout(() => {
+        if (feeds.get(job.job_id) === feed) {
+          feeds.delete(job.job_id);
+        }
+      }, FEED_TTL_MS).unref();
+    }
+  }
+});
+
+module.exports = {
+  publish,
+  subscribe,
+  hasFinished
+};
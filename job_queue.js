@@ -0,0 +1,108 @@
+// In-process worker queue: at most MAX_CONCURRENT_JOBS pipelines run at once,
+// the rest wait in FIFO order. Every running job gets an AbortController so
+// DELETE /jobs/:id can tear down its ytdl, ffmpeg and Puppeteer work.
+const MAX_CONCURRENT_JOBS = Math.max(1, parseInt(process.env.MAX_CONCURRENT_JOBS, 10) || 2);
+
+const pending = [];
+const active = new Map();
+// jobId -> promise settling once its running task has returned
+const running = new Map();
+
+const createCancelledError = () => {
+  const error = new Error('Job cancelled');
+  error.code = 'JOB_CANCELLED';
+  return error;
+};
+
+const isCancelledError = (error) => error?.code === 'JOB_CANCELLED';
+
+const throwIfCancelled = (signal) => {
+  if (signal?.aborted) {
+    throw createCancelledError();
+  }
+};
+
+const drain = () => {
+  while (active.size < MAX_CONCURRENT_JOBS && pending.length > 0) {
+    const { jobId, task } = pending.shift();
+    const controller = new AbortController();
+    active.set(jobId, controller);
+
+    console.log(`⚙️ Starting job ${jobId} (${active.size}/${MAX_CONCURRENT_JOBS} slots in use, ${pending.length} queued)`);
+
+    const run = Promise.resolve()
+      .then(() => task(controller.signal))
+      .catch(error => {
+        if (isCancelledError(error)) {
+          console.log(`🛑 Job ${jobId} cancelled`);
+        } else {
+          console.error(`Background analysis failed for job ${jobId}:`, error.message);
+        }
+      })
+      .finally(() => {
+        active.delete(jobId);
+        running.delete(jobId);
+        drain();
+      });
+    running.set(jobId, run);
+  }
+};
+
+// task receives an AbortSignal and must return a promise
+const enqueue = (jobId, task) => {
+  if (active.has(jobId) || pending.some(entry => entry.jobId === jobId)) {
+    return getQueuePosition(jobId);
+  }
+  pending.push({ jobId, task });
+  drain();
+  return getQueuePosition(jobId);
+};
+
+// Returns 'dequeued' for a job that never started, 'aborted' for a running
+// job, or null when the queue does not know the job
+const cancel = (jobId) => {
+  const index = pending.findIndex(entry => entry.jobId === jobId);
+  if (index !== -1) {
+    pending.splice(index, 1);
+    return 'dequeued';
+  }
+
+  const controller = active.get(jobId);
+  if (controller) {
+    controller.abort();
+    return 'aborted';
+  }
+
+  return null;
+};
+
+// Resolves once a running job's task has returned, for instance after
+// cancel(); at once for a job that is not running
+const whenStopped = (jobId) => running.get(jobId) || Promise.resolve();
+
+// 0 while running, 1..n while waiting, null when unknown
+const getQueuePosition = (jobId) => {
+  if (active.has(jobId)) {
+    return 0;
+  }
+  const index = pending.findIndex(entry => entry.jobId === jobId);
+  return index === -1 ? null : index + 1;
+};
+
+const getQueueStats = () => ({
+  max_concurrent_jobs: MAX_CONCURRENT_JOBS,
+  running: active.size,
+  queued: pending.length
+});
+
+module.exports = {
+  MAX_CONCURRENT_JOBS,
+  enqueue,
+  cancel,
+  whenStopped,
+  getQueuePosition,
+  getQueueStats,
+  createCancelledError,
+  isCancelledError,
+  throwIfCancelled
+};
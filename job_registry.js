@@ -0,0 +1,356 @@
+const { EventEmitter } = require('events');
+const fs = require('fs').promises;
+const path = require('path');
+const storagePaths = require('./storage_paths');
+
+const JOBS_DIR = storagePaths.STORAGE_DIRS.jobs;
+
+// A job that keeps dying mid-run (e.g. it crashes the process) is only
+// re-queued this many times before it is given up on
+const MAX_RECOVERIES = 3;
+
+// Pipeline stages in execution order, with their share of overall progress
+const STAGES = [
+  { name: 'metadata', weight: 5 },
+  { name: 'screenshot', weight: 5 },
+  { name: 'audio_download', weight: 15 },
+  { name: 'frames', weight: 10 },
+  { name: 'transcription', weight: 30 },
+  { name: 'ai_detection', weight: 35 }
+];
+
+// Re-detection jobs only score a stored transcript again
+const REDETECT_STAGES = ['ai_detection'];
+
+const stagesFor = (type) => (type === 'redetect' ? STAGES.filter(stage => REDETECT_STAGES.includes(stage.name)) : STAGES);
+
+const jobs = new Map();
+const writeChains = new Map();
+
+// Emits 'update' with the job record after every change
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+const jobFilePath = (jobId) => path.join(JOBS_DIR, `${jobId}.json`);
+
+// Write through a temp file so a crash mid-write never leaves a truncated record,
+// and chain writes per job so an older snapshot can't land after a newer one
+const persistJob = (job) => {
+  const snapshot = JSON.stringify(job, null, 2);
+  const filePath = jobFilePath(job.job_id);
+  const previous = writeChains.get(job.job_id) || Promise.resolve();
+
+  const next = previous
+    .then(async () => {
+      await fs.mkdir(JOBS_DIR, { recursive: true });
+      await fs.writeFile(`${filePath}.tmp`, snapshot);
+      await fs.rename(`${filePath}.tmp`, filePath);
+    })
+    .catch(error => {
+      console.error(`Failed to persist job ${job.job_id}:`, error.message);
+    });
+
+  writeChains.set(job.job_id, next);
+  return next;
+};
+
+// Batch jobs run no pipeline stages of their own; their progress comes
+// from the per-video child jobs
+const createStages = (type) => {
+  if (type === 'batch') {
+    return {};
+  }
+  const stages = stagesFor(type).reduce((byName, stage) => {
+    byName[stage.name] = {
+      status: 'pending',
+      started_at: null,
+      finished_at: null,
+      error: null
+    };
+    return byName;
+  }, {});
+  stages.ai_detection.segments_done = 0;
+  stages.ai_detection.segments_total = null;
+  return stages;
+};
+
+// owner is the name of the API key that submitted the job, if any
+const createJob = async ({ jobId, type = 'youtube', input = {}, batchId = null, owner = null }) => {
+  const job = {
+    job_id: jobId,
+    type,
+    input,
+    owner,
+    status: 'queued',
+    created_at: new Date().toISOString(),
+    started_at: null,
+    finished_at: null,
+    current_stage: null,
+    error: null,
+    recoveries: 0,
+    // Usage already charged to the owner, by kind; kept across recoveries
+    usage_recorded: {},
+    stages: createStages(type)
+  };
+  if (batchId) {
+    job.batch_id = batchId;
+  }
+  if (type === 'batch') {
+    job.children = [];
+  }
+  if (input.callback_url) {
+    job.webhook = { url: input.callback_url, status: 'pending', attempts: [] };
+  }
+
+  jobs.set(jobId, job);
+  await persistJob(job);
+  return job;
+};
+
+const getJob = (jobId) => jobs.get(jobId) || null;
+
+const listJobs = () => Array.from(jobs.values());
+
+const updateJob = async (jobId, mutate) => {
+  const job = jobs.get(jobId);
+  if (!job) {
+    return null;
+  }
+  mutate(job);
+  events.emit('update', job);
+  await persistJob(job);
+  return job;
+};
+
+const startJob = (jobId) => updateJob(jobId, (job) => {
+  job.status = 'running';
+  job.started_at = new Date().toISOString();
+  job.finished_at = null;
+  job.error = null;
+});
+
+const startStage = (jobId, stageName) => updateJob(jobId, (job) => {
+  const stage = job.stages[stageName];
+  stage.status = 'running';
+  stage.started_at = new Date().toISOString();
+  stage.finished_at = null;
+  stage.error = null;
+  job.current_stage = stageName;
+});
+
+const completeStage = (jobId, stageName) => updateJob(jobId, (job) => {
+  const stage = job.stages[stageName];
+  stage.status = 'completed';
+  stage.finished_at = new Date().toISOString();
+  if (job.current_stage === stageName) {
+    job.current_stage = null;
+  }
+});
+
+const setSegmentProgress = (jobId, done, total) => updateJob(jobId, (job) => {
+  job.stages.ai_detection.segments_done = done;
+  job.stages.ai_detection.segments_total = total;
+});
+
+const markUsageRecorded = (jobId, kind) => updateJob(jobId, (job) => {
+  job.usage_recorded = { ...job.usage_recorded, [kind]: true };
+});
+
+// The job's stored result was rewritten (by a re-detection); retention
+// counts its age from here
+const markResultUpdated = (jobId) => updateJob(jobId, (job) => {
+  job.result_updated_at = new Date().toISOString();
+});
+
+const setChildren = (jobId, childIds) => updateJob(jobId, (job) => {
+  job.children = childIds;
+});
+
+// Log one callback delivery attempt (or none, when record is null) and the
+// delivery status it leaves the webhook in
+const recordWebhookAttempt = (jobId, record, deliveryStatus) => updateJob(jobId, (job) => {
+  if (record) {
+    job.webhook.attempts.push(record);
+  }
+  job.webhook.status = deliveryStatus;
+});
+
+const completeJob = (jobId) => updateJob(jobId, (job) => {
+  job.status = 'completed';
+  job.finished_at = new Date().toISOString();
+  job.current_stage = null;
+});
+
+const failJob = (jobId, errorMessage) => updateJob(jobId, (job) => {
+  const now = new Date().toISOString();
+  if (job.current_stage) {
+    const stage = job.stages[job.current_stage];
+    stage.status = 'failed';
+    stage.finished_at = now;
+    stage.error = errorMessage;
+  }
+  job.status = 'failed';
+  job.finished_at = now;
+  job.error = errorMessage;
+});
+
+const cancelJob = (jobId) => updateJob(jobId, (job) => {
+  const now = new Date().toISOString();
+  if (job.current_stage) {
+    const stage = job.stages[job.current_stage];
+    stage.status = 'cancelled';
+    stage.finished_at = now;
+  }
+  job.status = 'cancelled';
+  job.finished_at = now;
+  job.current_stage = null;
+});
+
+const isFinished = (job) => ['completed', 'failed', 'cancelled'].includes(job.status);
+
+// Forget a job and remove its record, after any write still in flight
+const deleteJob = async (jobId) => {
+  if (!jobs.delete(jobId)) {
+    return false;
+  }
+  const previous = writeChains.get(jobId) || Promise.resolve();
+  await previous.then(() => fs.unlink(jobFilePath(jobId))).catch(error => {
+    if (error.code !== 'ENOENT') {
+      console.error(`Failed to remove job record ${jobId}:`, error.message);
+    }
+  });
+  writeChains.delete(jobId);
+  return true;
+};
+
+// Put an interrupted job back to the start of the pipeline
+const requeueJob = (jobId) => updateJob(jobId, (job) => {
+  job.status = 'queued';
+  job.started_at = null;
+  job.finished_at = null;
+  job.current_stage = null;
+  job.error = null;
+  job.recoveries = (job.recoveries || 0) + 1;
+  job.stages = createStages(job.type);
+});
+
+// Resolves once every listed job has finished (or is unknown)
+const waitForJobs = (jobIds) => new Promise(resolve => {
+  const allFinished = () => jobIds.every(id => !jobs.has(id) || isFinished(jobs.get(id)));
+  if (allFinished()) {
+    return resolve();
+  }
+  const onUpdate = (job) => {
+    if (jobIds.includes(job.job_id) && allFinished()) {
+      events.removeListener('update', onUpdate);
+      resolve();
+    }
+  };
+  events.on('update', onUpdate);
+});
+
+// Overall progress in percent, derived from completed stages plus the
+// share of AI-detection segments that are already scored
+const getProgress = (job) => {
+  if (job.status === 'completed') {
+    return 100;
+  }
+
+  if (job.type === 'batch') {
+    const children = (job.children || []).map(getJob).filter(Boolean);
+    if (children.length === 0) {
+      return 0;
+    }
+    const total = children.reduce((sum, child) => sum + (isFinished(child) ? 100 : getProgress(child)), 0);
+    return Math.min(99, Math.floor(total / children.length));
+  }
+
+  const jobStages = stagesFor(job.type);
+  const totalWeight = jobStages.reduce((sum, { weight }) => sum + weight, 0);
+  const progress = jobStages.reduce((sum, { name, weight }) => {
+    // Records written before a stage existed simply lack it
+    const stage = job.stages[name];
+    if (stage?.status === 'completed') {
+      return sum + weight;
+    }
+    if (name === 'ai_detection' && stage.status === 'running' && stage.segments_total) {
+      return sum + weight * (stage.segments_done / stage.segments_total);
+    }
+    return sum;
+  }, 0);
+
+  return Math.min(99, Math.floor(progress * 100 / totalWeight));
+};
+
+// Seconds spent in each finished stage, plus the job's total so far
+const getStageTimings = (job) => {
+  const seconds = (from, to) => Math.round((new Date(to) - new Date(from)) / 100) / 10;
+  const timings = {};
+  for (const { name } of STAGES) {
+    const stage = job.stages[name];
+    if (stage?.started_at && stage.finished_at) {
+      timings[name] = seconds(stage.started_at, stage.finished_at);
+    }
+  }
+  timings.total = job.started_at ? seconds(job.started_at, job.finished_at || new Date()) : 0;
+  return timings;
+};
+
+// Load persisted jobs on startup. Anything that was queued or running when
+// the process stopped is reset to queued and returned so the caller can
+// hand it back to the worker queue.
+const loadJobs = async () => {
+  await fs.mkdir(JOBS_DIR, { recursive: true });
+  const files = await fs.readdir(JOBS_DIR);
+  const interrupted = [];
+  const recovered = [];
+
+  for (const file of files.filter(f => f.endsWith('.json'))) {
+    try {
+      const job = JSON.parse(await fs.readFile(path.join(JOBS_DIR, file), 'utf8'));
+      jobs.set(job.job_id, job);
+      if (job.status === 'queued' || job.status === 'running') {
+        interrupted.push(job.job_id);
+      }
+    } catch (error) {
+      console.error(`Skipping unreadable job record ${file}:`, error.message);
+    }
+  }
+
+  for (const jobId of interrupted) {
+    if ((jobs.get(jobId).recoveries || 0) >= MAX_RECOVERIES) {
+      await failJob(jobId, `Interrupted by service restart ${MAX_RECOVERIES} times, giving up`);
+      continue;
+    }
+    await requeueJob(jobId);
+    recovered.push(jobs.get(jobId));
+  }
+
+  console.log(`📋 Loaded ${jobs.size} jobs from registry (${recovered.length} re-queued after restart)`);
+  return recovered;
+};
+
+module.exports = {
+  STAGES,
+  events,
+  createJob,
+  getJob,
+  listJobs,
+  startJob,
+  startStage,
+  completeStage,
+  setSegmentProgress,
+  setChildren,
+  markUsageRecorded,
+  markResultUpdated,
+  recordWebhookAttempt,
+  completeJob,
+  failJob,
+  cancelJob,
+  deleteJob,
+  isFinished,
+  getProgress,
+  getStageTimings,
+  waitForJobs,
+  loadJobs
+};
@@ -0,0 +1,139 @@
+// Language handling for multi-language transcripts. Codes are ISO 639-1
+// ("en", "de") wherever we can map them; providers that answer in ISO 639-3
+// ("eng") or with a region ("en-US") are normalised to that.
+//
+// Segments are tagged with an offline guess: the writing system for
+// non-Latin scripts, common function words otherwise. Segments too short or
+// too ambiguous to call keep the transcript's overall language.
+
+const ISO_639_3 = {
+  ara: 'ar', ces: 'cs', cmn: 'zh', dan: 'da', deu: 'de', ell: 'el', eng: 'en', fin: 'fi', fra: 'fr',
+  heb: 'he', hin: 'hi', hun: 'hu', ind: 'id', ita: 'it', jpn: 'ja', kor: 'ko', nld: 'nl', nor: 'no',
+  pol: 'pl', por: 'pt', ron: 'ro', rus: 'ru', spa: 'es', swe: 'sv', tha: 'th', tur: 'tr', ukr: 'uk',
+  vie: 'vi', zho: 'zh'
+};
+
+const LANGUAGE_CODE_PATTERN = /^[a-z]{2,3}([-_][a-z0-9]{2,8})?$/i;
+
+// Fewer words than this are not worth guessing from
+const MIN_WORDS = 4;
+
+// The winning language needs this many function-word hits, and this many
+// times as many as the runner-up
+const MIN_HITS = 2;
+const MIN_MARGIN = 1.5;
+
+const FUNCTION_WORDS = {
+  en: ['the', 'and', 'is', 'are', 'was', 'you', 'that', 'this', 'it', 'of', 'to', 'in', 'for', 'with', 'have', 'not', 'but', 'what', 'they', 'we', 'be', 'on', 'at', 'so', 'just', 'like', 'do', 'know', 'there', 'my'],
+  es: ['el', 'la', 'los', 'las', 'de', 'que', 'y', 'en', 'un', 'una', 'es', 'por', 'con', 'para', 'no', 'lo', 'se', 'su', 'al', 'del', 'pero', 'como', 'más', 'muy', 'está', 'son', 'yo', 'también'],
+  fr: ['le', 'la', 'les', 'de', 'des', 'et', 'est', 'un', 'une', 'que', 'qui', 'dans', 'pour', 'pas', 'ne', 'sur', 'avec', 'ce', 'il', 'je', 'vous', 'nous', "c'est", 'du', 'au', 'mais', 'très', 'être'],
+  de: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'ein', 'eine', 'ich', 'du', 'wir', 'sie', 'es', 'zu', 'mit', 'auf', 'den', 'dem', 'von', 'für', 'auch', 'aber', 'wie', 'sehr', 'noch', 'haben', 'sind'],
+  it: ['il', 'lo', 'la', 'gli', 'le', 'di', 'che', 'e', 'è', 'un', 'una', 'per', 'non', 'con', 'del', 'della', 'sono', 'questo', 'ma', 'anche', 'come', 'più', 'molto', 'ci', 'si', 'io', 'noi'],
+  pt: ['o', 'a', 'os', 'as', 'de', 'que', 'e', 'é', 'um', 'uma', 'não', 'com', 'para', 'do', 'da', 'em', 'no', 'na', 'se', 'mas', 'muito', 'você', 'isso', 'também', 'são', 'eu', 'nós', 'está'],
+  nl: ['de', 'het', 'een', 'en', 'is', 'van', 'dat', 'niet', 'ik', 'je', 'we', 'zijn', 'met', 'op', 'voor', 'maar', 'ook', 'dit', 'er', 'wat', 'hij', 'heeft', 'naar', 'nog', 'wel'],
+  sv: ['och', 'att', 'det', 'är', 'en', 'som', 'på', 'i', 'jag', 'du', 'vi', 'inte', 'med', 'för', 'har', 'till', 'av', 'den', 'men', 'också', 'mycket'],
+  pl: ['i', 'w', 'nie', 'na', 'się', 'że', 'to', 'jest', 'z', 'do', 'jak', 'co', 'ale', 'tak', 'są', 'czy', 'już', 'bardzo', 'dla', 'też', 'mnie'],
+  tr: ['ve', 'bir', 'bu', 'da', 'de', 'için', 'çok', 'ne', 'ben', 'sen', 'mi', 'ile', 'gibi', 'ama', 'daha', 'var', 'yok', 'değil', 'olarak'],
+  ru: ['и', 'в', 'не', 'на', 'что', 'я', 'с', 'он', 'как', 'это', 'по', 'но', 'мы', 'вы', 'так', 'же', 'все', 'она', 'они', 'у', 'за', 'был', 'очень', 'есть'],
+  uk: ['і', 'в', 'не', 'на', 'що', 'я', 'з', 'він', 'як', 'це', 'та', 'але', 'ми', 'ви', 'так', 'же', 'все', 'вона', 'вони', 'у', 'за', 'був', 'дуже', 'є']
+};
+
+const FUNCTION_WORD_SETS = Object.fromEntries(Object.entries(FUNCTION_WORDS).map(([language, words]) => [language, new Set(words)]));
+
+// Scripts that name their language outright; Cyrillic goes to function words
+const SCRIPTS = [
+  { language: 'ja', pattern: /[぀-ヿ]/gu },
+  { language: 'ko', pattern: /[가-힯]/gu },
+  { language: 'zh', pattern: /\p{Script=Han}/gu },
+  { language: 'ar', pattern: /\p{Script=Arabic}/gu },
+  { language: 'hi', pattern: /\p{Script=Devanagari}/gu },
+  { language: 'el', pattern: /\p{Script=Greek}/gu },
+  { language: 'he', pattern: /\p{Script=Hebrew}/gu },
+  { language: 'th', pattern: /\p{Script=Thai}/gu }
+];
+
+const round = (value, digits = 3) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const isValidLanguageCode = (code) => code === 'auto' || (typeof code === 'string' && LANGUAGE_CODE_PATTERN.test(code));
+
+// "eng", "en-US", "EN" -> "en"; "auto" or nothing -> null
+const normalizeLanguage = (code) => {
+  if (!code || code === 'auto') {
+    return null;
+  }
+  const base = String(code).toLowerCase().split(/[-_]/)[0];
+  return ISO_639_3[base] || base;
+};
+
+const guessFromScript = (text) => {
+  const letters = (text.match(/\p{L}/gu) || []).length;
+  if (letters === 0) {
+    return null;
+  }
+  // Japanese mixes kana with Han characters, so any kana settles it
+  const match = SCRIPTS.find(({ language, pattern }) => {
+    const count = (text.match(pattern) || []).length;
+    return count > 0 && (language === 'ja' || count / letters >= 0.5);
+  });
+  return match ? match.language : null;
+};
+
+const guessFromFunctionWords = (text) => {
+  const words = text.toLowerCase().split(/[^\p{L}'’]+/u).filter(Boolean);
+  if (words.length < MIN_WORDS) {
+    return null;
+  }
+
+  const ranked = Object.entries(FUNCTION_WORD_SETS)
+    .map(([language, set]) => ({ language, hits: words.filter(word => set.has(word)).length }))
+    .sort((a, b) => b.hits - a.hits);
+  const [best, runnerUp] = ranked;
+
+  if (best.hits < MIN_HITS || best.hits < runnerUp.hits * MIN_MARGIN) {
+    return null;
+  }
+  return best.language;
+};
+
+// Best guess at the language of one piece of text, or null when unsure
+const identifyLanguage = (text = '') => guessFromScript(text) || guessFromFunctionWords(text);
+
+// Tag every segment with a language and summarise the mix by speaking time
+const tagSegmentLanguages = (transcript) => {
+  const fallback = normalizeLanguage(transcript.language);
+  const segments = (transcript.segments || []).map(segment => ({
+    ...segment,
+    language: identifyLanguage(segment.text) || fallback
+  }));
+
+  const durations = new Map();
+  for (const segment of segments) {
+    const key = segment.language || 'unknown';
+    const entry = durations.get(key) || { language: segment.language, segments: 0, duration: 0 };
+    entry.segments++;
+    entry.duration += Math.max(0, segment.end - segment.start);
+    durations.set(key, entry);
+  }
+  const total = Array.from(durations.values()).reduce((sum, entry) => sum + entry.duration, 0);
+
+  return {
+    ...transcript,
+    language: fallback,
+    languages: Array.from(durations.values())
+      .sort((a, b) => b.duration - a.duration)
+      .map(entry => ({
+        language: entry.language,
+        segments: entry.segments,
+        duration: round(entry.duration, 2),
+        share: total > 0 ? round(entry.duration / total) : 0
+      })),
+    segments
+  };
+};
+
+module.exports = {
+  isValidLanguageCode,
+  normalizeLanguage,
+  identifyLanguage,
+  tagSegmentLanguages
+};
@@ -0,0 +1,133 @@
+const ffmpeg = require('fluent-ffmpeg');
+const fs = require('fs').promises;
+const ytdl = require('ytdl-core');
+
+// The result's metadata block: what YouTube (or ffprobe, for uploads) says
+// about the video, plus ffprobe stats and sizes of the files we produced.
+// Videos longer than MAX_VIDEO_DURATION seconds are turned away here,
+// before any audio or frames are downloaded.
+
+const MAX_VIDEO_DURATION = parseInt(process.env.MAX_VIDEO_DURATION, 10) || 3600;
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Probe a media file with ffprobe
+const probeMedia = (filePath) => new Promise((resolve, reject) => {
+  ffmpeg.ffprobe(filePath, (err, data) => (err ? reject(err) : resolve(data)));
+});
+
+// H:MM:SS for error messages
+const formatDuration = (seconds) => {
+  const total = Math.round(seconds);
+  const h = Math.floor(total / 3600);
+  const m = String(Math.floor((total % 3600) / 60)).padStart(2, '0');
+  const s = String(total % 60).padStart(2, '0');
+  return `${h}:${m}:${s}`;
+};
+
+const checkDuration = (duration, { isLive = false } = {}) => {
+  if (isLive) {
+    throw new Error('Live streams cannot be analysed');
+  }
+  if (duration > MAX_VIDEO_DURATION) {
+    throw new Error(`Video is ${formatDuration(duration)} long, over the ${formatDuration(MAX_VIDEO_DURATION)} limit (MAX_VIDEO_DURATION)`);
+  }
+};
+
+// Map ytdl.getInfo output to the metadata fields we report
+const describeVideoInfo = (info) => {
+  const details = info.videoDetails || {};
+  return {
+    video_id: details.videoId || null,
+    video_title: details.title || null,
+    channel: details.author?.name || details.ownerChannelName || null,
+    channel_id: details.channelId || details.author?.id || null,
+    video_duration: parseInt(details.lengthSeconds, 10) || 0,
+    upload_date: details.uploadDate || details.publishDate || null,
+    view_count: parseInt(details.viewCount, 10) || 0,
+    description: details.description || null,
+    chapters: (details.chapters || []).map(chapter => ({ title: chapter.title, start: chapter.start_time })),
+    is_live: Boolean(details.isLiveContent && details.isLive)
+  };
+};
+
+const fetchVideoInfo = async (url) => {
+  try {
+    return await ytdl.getInfo(url);
+  } catch (error) {
+    throw new Error(`Video metadata lookup failed: ${error.message}`);
+  }
+};
+
+// Uploads have no YouTube page; the file itself is all there is
+const describeUpload = async (filePath, originalName) => {
+  let probe;
+  try {
+    probe = await probeMedia(filePath);
+  } catch (error) {
+    throw new Error(`Could not read uploaded file: ${error.message}`);
+  }
+  return {
+    video_title: originalName,
+    video_duration: round(parseFloat(probe.format?.duration) || 0),
+    container: probe.format?.format_name || null,
+    has_video: probe.streams.some(stream => stream.codec_type === 'video')
+  };
+};
+
+const fileSize = async (filePath) => {
+  try {
+    return (await fs.stat(filePath)).size;
+  } catch (error) {
+    return null;
+  }
+};
+
+// ffprobe stats and sizes of the generated WAV, screenshot and contact sheet
+const describeOutputFiles = async ({ audioPath, screenshotPath, contactSheetPath }) => {
+  const stats = {};
+
+  try {
+    const audio = (await probeMedia(audioPath)).streams.find(stream => stream.codec_type === 'audio');
+    stats.audio_format = 'wav';
+    stats.audio_codec = audio?.codec_name || null;
+    stats.audio_sample_rate = parseInt(audio?.sample_rate, 10) || null;
+    stats.audio_channels = audio?.channels || null;
+    stats.audio_duration = round(parseFloat(audio?.duration) || 0);
+  } catch (error) {
+    console.error('Could not probe generated audio:', error.message);
+  }
+
+  if (screenshotPath) {
+    try {
+      const image = (await probeMedia(screenshotPath)).streams[0];
+      stats.screenshot_resolution = image ? `${image.width}x${image.height}` : null;
+    } catch (error) {
+      console.error('Could not probe screenshot:', error.message);
+    }
+  }
+
+  const [audioBytes, screenshotBytes, contactSheetBytes] = await Promise.all([
+    fileSize(audioPath),
+    screenshotPath ? fileSize(screenshotPath) : null,
+    contactSheetPath ? fileSize(contactSheetPath) : null
+  ]);
+  stats.file_sizes = {
+    audio_mb: audioBytes === null ? null : round(audioBytes / (1024 * 1024)),
+    screenshot_kb: screenshotBytes === null ? null : Math.round(screenshotBytes / 1024),
+    contact_sheet_kb: contactSheetBytes === null ? null : Math.round(contactSheetBytes / 1024)
+  };
+
+  return stats;
+};
+
+module.exports = {
+  MAX_VIDEO_DURATION,
+  probeMedia,
+  formatDuration,
+  checkDuration,
+  describeVideoInfo,
+  fetchVideoInfo,
+  describeUpload,
+  describeOutputFiles
+};
@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const storagePaths = require('./storage_paths');
+
+// Per-video cache of the expensive pipeline outputs, so analysing a video
+// again costs no download, ElevenLabs credits or GPTZero quota:
+//   cache/<video_id>/audio.wav                  - the normalised WAV
+//   cache/<video_id>/transcript-<key>.json      - keyed by provider + model (+ requested language)
+//   cache/<video_id>/detections-<key>.json      - keyed by provider + model (+ language) + detector set + window sizes
+// Keys are hashes of the config that produced the entry, so changing the
+// model or the ensemble weights simply misses instead of serving stale data.
+
+const CACHE_DIR = storagePaths.STORAGE_DIRS.cache;
+
+// watch?v=, youtu.be/ and embed/ URLs of the same video share one ID
+const VIDEO_ID_PATTERNS = [
+  /youtube\.com\/watch\?(?:[^#]*&)?v=([\w-]{11})(?![\w-])/,
+  /youtu\.be\/([\w-]{11})(?![\w-])/,
+  /youtube\.com\/embed\/([\w-]{11})(?![\w-])/
+];
+
+const extractVideoId = (url) => {
+  for (const pattern of VIDEO_ID_PATTERNS) {
+    const match = typeof url === 'string' && url.match(pattern);
+    if (match) {
+      return match[1];
+    }
+  }
+  return null;
+};
+
+// Order-independent description of a detector ensemble, e.g. "gptzero:0.6,statistical:0.4"
+const describeEnsemble = (ensemble) => ensemble
+  .map(({ name, weight }) => `${name}:${weight}`)
+  .sort()
+  .join(',');
+
+const hashKey = (config) => crypto.createHash('sha256').update(JSON.stringify(config)).digest('hex').slice(0, 16);
+
+// An explicitly requested language is part of the key; auto-detected runs
+// keep the keys they had before languages could be requested
+const withLanguage = (config, language) => (language ? { ...config, language } : config);
+
+const transcriptKey = ({ provider, model, language }) => hashKey(withLanguage({ provider, model: model || null }, language));
+
+const detectionKey = ({ provider, model, language, detectors, segmentation }) => hashKey(withLanguage({ provider, model: model || null, detectors, segmentation }, language));
+
+const videoDir = (videoId) => path.join(CACHE_DIR, videoId);
+
+const readEntry = async (filePath) => {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`Ignoring unreadable cache entry ${filePath}:`, error.message);
+    }
+    return null;
+  }
+};
+
+// Temp file + rename, so a concurrent reader never sees half an entry
+const writeEntry = async (filePath, entry) => {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  await fs.writeFile(tempPath, JSON.stringify(entry));
+  await fs.rename(tempPath, filePath);
+};
+
+// Hard-link when source and target share a file system, copy otherwise
+const linkOrCopy = async (source, target) => {
+  await fs.unlink(target).catch(() => {});
+  try {
+    await fs.link(source, target);
+  } catch (error) {
+    await fs.copyFile(source, target);
+  }
+};
+
+const audioPath = (videoId) => path.join(videoDir(videoId), 'audio.wav');
+
+// Puts the cached WAV at targetPath; false when there is none
+const restoreAudio = async (videoId, targetPath) => {
+  try {
+    await fs.access(audioPath(videoId));
+  } catch (error) {
+    return false;
+  }
+  await linkOrCopy(audioPath(videoId), targetPath);
+  return true;
+};
+
+const storeAudio = async (videoId, sourcePath) => {
+  await fs.mkdir(videoDir(videoId), { recursive: true });
+  const tempPath = `${audioPath(videoId)}.${process.pid}.${Date.now()}.tmp`;
+  await linkOrCopy(sourcePath, tempPath);
+  await fs.rename(tempPath, audioPath(videoId));
+};
+
+const transcriptPath = (videoId, config) => path.join(videoDir(videoId), `transcript-${transcriptKey(config)}.json`);
+
+const getTranscript = async (videoId, config) => (await readEntry(transcriptPath(videoId, config)))?.transcript || null;
+
+const storeTranscript = (videoId, config, transcript) => writeEntry(transcriptPath(videoId, config), {
+  video_id: videoId,
+  provider: config.provider,
+  model: config.model || null,
+  created_at: new Date().toISOString(),
+  transcript
+});
+
+const detectionsPath = (videoId, config) => path.join(videoDir(videoId), `detections-${detectionKey(config)}.json`);
+
+// Scored segments and the detection windows they were scored in
+const getDetections = async (videoId, config) => {
+  const entry = await readEntry(detectionsPath(videoId, config));
+  return entry?.segments ? { segments: entry.segments, windows: entry.windows || [] } : null;
+};
+
+const storeDetections = (videoId, config, { segments, windows }) => writeEntry(detectionsPath(videoId, config), {
+  video_id: videoId,
+  provider: config.provider,
+  model: config.model || null,
+  detectors: config.detectors,
+  segmentation: config.segmentation || null,
+  created_at: new Date().toISOString(),
+  segments,
+  windows
+});
+
+// Only cache detections in which every detector produced a score; a run
+// where GPTZero was rate-limited should be retried next time, not reused.
+// Detectors skipped for the window's language would be skipped again.
+// Takes the scored detection windows.
+const isCompleteDetection = (windows) => windows.every(window => {
+  const detection = window.ai_detection;
+  if (!detection || detection.classification === 'error') {
+    return false;
+  }
+  return Object.values(detection.detectors || {}).every(result => ['ok', 'unsupported_language'].includes(result.status));
+});
+
+module.exports = {
+  CACHE_DIR,
+  extractVideoId,
+  describeEnsemble,
+  transcriptKey,
+  detectionKey,
+  restoreAudio,
+  storeAudio,
+  getTranscript,
+  storeTranscript,
+  getDetections,
+  storeDetections,
+  isCompleteDetection
+};
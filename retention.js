@@ -0,0 +1,270 @@
+const fs = require('fs').promises;
+const path = require('path');
+const storagePaths = require('./storage_paths');
+const jobRegistry = require('./job_registry');
+const storageBackends = require('./storage_backends');
+
+// Retention of generated files. Every CLEANUP_INTERVAL_MINUTES a sweep
+// removes anything older than its kind's retention (hours, 0 keeps it
+// forever). Results stand for the whole job: once a finished job's results
+// expire, its record and every file it left behind go with it. Files of
+// queued and running jobs are never touched.
+
+const readHours = (variable, fallback) => {
+  const value = parseFloat(process.env[variable]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+const RETENTION_HOURS = {
+  results: readHours('RESULTS_TTL_HOURS', 30 * 24),
+  audio: readHours('AUDIO_TTL_HOURS', 24),
+  screenshots: readHours('SCREENSHOTS_TTL_HOURS', 7 * 24),
+  frames: readHours('FRAMES_TTL_HOURS', 7 * 24),
+  uploads: readHours('UPLOADS_TTL_HOURS', 24),
+  cache: readHours('CACHE_TTL_HOURS', 30 * 24)
+};
+
+const CLEANUP_INTERVAL_MINUTES = parseFloat(process.env.CLEANUP_INTERVAL_MINUTES) || 60;
+
+// Remove an upload as soon as its job has finished with it, and with a
+// remote storage backend the local working copies of its artefacts too
+const CLEANUP_TEMP_FILES = process.env.CLEANUP_TEMP_FILES !== 'false';
+
+const HOUR_MS = 60 * 60 * 1000;
+const MB = 1024 * 1024;
+
+let lastSweep = null;
+let sweeping = null;
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Files and bytes under a path; whatever vanishes mid-walk counts as nothing
+const measure = async (target) => {
+  try {
+    const stat = await fs.lstat(target);
+    if (!stat.isDirectory()) {
+      return { files: 1, bytes: stat.size };
+    }
+    const totals = { files: 0, bytes: 0 };
+    for (const entry of await fs.readdir(target)) {
+      const { files, bytes } = await measure(path.join(target, entry));
+      totals.files += files;
+      totals.bytes += bytes;
+    }
+    return totals;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { files: 0, bytes: 0 };
+    }
+    throw error;
+  }
+};
+
+const removePath = async (target) => {
+  const size = await measure(target);
+  await fs.rm(target, { recursive: true, force: true });
+  return size;
+};
+
+// Every file a job can leave behind
+const jobPaths = (job) => {
+  const paths = [
+    storagePaths.resultFile(job.job_id),
+    storagePaths.audioFile(job.job_id),
+    storagePaths.screenshotFile(job.job_id),
+    path.join(storagePaths.STORAGE_DIRS.frames, job.job_id)
+  ];
+  if (job.input?.upload_path) {
+    paths.push(job.input.upload_path);
+  }
+  return paths;
+};
+
+// Remove a finished job, its files and (for a batch) its videos' jobs.
+// job is the registry record, or { job_id } for results older than the registry.
+const removeJob = async (job) => {
+  const removed = { jobs: 0, files: 0, bytes: 0 };
+  const children = (job.children || []).map(childId => jobRegistry.getJob(childId)).filter(Boolean);
+
+  for (const target of [job, ...children]) {
+    for (const filePath of jobPaths(target)) {
+      const { files, bytes } = await removePath(filePath);
+      removed.files += files;
+      removed.bytes += bytes;
+    }
+    removed.files += await storageBackends.removeJob(target.job_id);
+    if (await jobRegistry.deleteJob(target.job_id)) {
+      removed.jobs++;
+    }
+  }
+  return removed;
+};
+
+const removeTempFiles = async (job) => {
+  if (!CLEANUP_TEMP_FILES || !job) {
+    return;
+  }
+  const paths = job.input?.upload_path ? [job.input.upload_path] : [];
+  if (storageBackends.getBackend().name !== 'local') {
+    paths.push(...jobPaths(job).filter(target => target !== storagePaths.resultFile(job.job_id)));
+  }
+  for (const target of new Set(paths)) {
+    await fs.rm(target, { recursive: true, force: true });
+  }
+};
+
+// Names (job IDs, upload file names) that must survive a sweep
+const protectedNames = () => {
+  const names = new Set();
+  for (const job of jobRegistry.listJobs().filter(job => !jobRegistry.isFinished(job))) {
+    names.add(job.job_id);
+    if (job.input?.upload_path) {
+      names.add(path.basename(job.input.upload_path));
+    }
+  }
+  return names;
+};
+
+const isExpired = (time, hours, now) => hours > 0 && now - time >= hours * HOUR_MS;
+
+const expireJobs = async (now) => {
+  const expired = jobRegistry.listJobs().filter(job => jobRegistry.isFinished(job)
+    && !job.batch_id
+    && isExpired(Date.parse(job.result_updated_at || job.finished_at || job.created_at), RETENTION_HOURS.results, now));
+
+  const removed = { jobs: 0, files: 0, bytes: 0 };
+  for (const job of expired) {
+    const { jobs, files, bytes } = await removeJob(job);
+    removed.jobs += jobs;
+    removed.files += files;
+    removed.bytes += bytes;
+  }
+  return removed;
+};
+
+// Remove entries of one directory by age; results still backed by a job
+// record are left to expireJobs
+const sweepDirectory = async (kind, keep, now) => {
+  const removed = { files: 0, bytes: 0 };
+  const dir = storagePaths.STORAGE_DIRS[kind];
+  let entries;
+  try {
+    entries = await fs.readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return removed;
+    }
+    throw error;
+  }
+
+  for (const entry of entries) {
+    const name = path.basename(entry, path.extname(entry));
+    if (keep.has(entry) || keep.has(name) || (kind === 'results' && jobRegistry.getJob(name))) {
+      continue;
+    }
+    const target = path.join(dir, entry);
+    const stat = await fs.stat(target).catch(() => null);
+    if (!stat || !isExpired(stat.mtimeMs, RETENTION_HOURS[kind], now)) {
+      continue;
+    }
+    const { files, bytes } = await removePath(target);
+    removed.files += files;
+    removed.bytes += bytes;
+  }
+  return removed;
+};
+
+const runSweep = async (now) => {
+  const started = Date.now();
+  const expired = await expireJobs(now);
+  const keep = protectedNames();
+  const removed = {};
+  let bytes = expired.bytes;
+
+  for (const kind of Object.keys(RETENTION_HOURS)) {
+    const swept = await sweepDirectory(kind, keep, now);
+    removed[kind] = swept.files;
+    bytes += swept.bytes;
+  }
+
+  lastSweep = {
+    finished_at: new Date().toISOString(),
+    duration_ms: Date.now() - started,
+    expired_jobs: expired.jobs,
+    expired_job_files: expired.files,
+    removed_files: removed,
+    freed_mb: round(bytes / MB)
+  };
+  const total = expired.files + Object.values(removed).reduce((sum, count) => sum + count, 0);
+  if (total > 0) {
+    console.log(`🧹 Cleanup removed ${expired.jobs} expired jobs and ${total} files, freeing ${lastSweep.freed_mb} MB`);
+  }
+  return lastSweep;
+};
+
+// One sweep at a time; callers arriving mid-sweep share its outcome
+const sweep = ({ now = Date.now() } = {}) => {
+  if (!sweeping) {
+    sweeping = runSweep(now).finally(() => {
+      sweeping = null;
+    });
+  }
+  return sweeping;
+};
+
+const startSweeper = () => {
+  const run = () => sweep().catch(error => console.error('Cleanup sweep failed:', error.message));
+  run();
+  return setInterval(run, CLEANUP_INTERVAL_MINUTES * 60 * 1000).unref();
+};
+
+// Free and total space of the filesystem holding STORAGE_PATH
+const getDiskSpace = async () => {
+  try {
+    const stats = await fs.statfs(storagePaths.STORAGE_PATH);
+    const total = stats.blocks * stats.bsize;
+    const free = stats.bavail * stats.bsize;
+    return {
+      total_gb: round(total / (1024 * MB), 2),
+      free_gb: round(free / (1024 * MB), 2),
+      used_share: total > 0 ? round(1 - free / total, 3) : null
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+const getDiskUsage = async () => {
+  const directories = {};
+  let totalBytes = 0;
+  for (const [kind, dir] of Object.entries(storagePaths.STORAGE_DIRS)) {
+    const { files, bytes } = await measure(dir);
+    directories[kind] = {
+      path: dir,
+      files,
+      mb: round(bytes / MB),
+      retention_hours: RETENTION_HOURS[kind] ?? null
+    };
+    totalBytes += bytes;
+  }
+  return {
+    storage_path: storagePaths.STORAGE_PATH,
+    total_mb: round(totalBytes / MB),
+    disk: await getDiskSpace(),
+    directories,
+    cleanup_interval_minutes: CLEANUP_INTERVAL_MINUTES,
+    last_sweep: lastSweep
+  };
+};
+
+module.exports = {
+  RETENTION_HOURS,
+  CLEANUP_INTERVAL_MINUTES,
+  CLEANUP_TEMP_FILES,
+  removeJob,
+  removeTempFiles,
+  sweep,
+  startSweeper,
+  getDiskSpace,
+  getDiskUsage
+};
@@ -0,0 +1,125 @@
+const aiDetectors = require('./ai_detectors');
+
+// Per-speaker aggregates for transcript.speakers: talk time, words, pace,
+// turn-taking and AI scores. Input is the scored segment list produced by
+// processTranscript, ordered or not. As in ai_summary.js, segments with an
+// unreliable transcript still count as speech but not towards AI scores. chunkLocal marks the labels as only
+// meaningful within one audio chunk (see speakers_reconciled in
+// transcription_providers.stitchTranscripts).
+
+const round = (value, digits = 3) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const segmentDuration = (segment) => Math.max(0, (segment.end || 0) - (segment.start || 0));
+
+const countWords = (segment) => (segment.words?.length > 0
+  ? segment.words.length
+  : (segment.text || '').trim().split(/\s+/).filter(Boolean).length);
+
+const isScored = (segment) => {
+  const detection = segment.ai_detection;
+  return Boolean(detection) && typeof detection.ai_probability === 'number'
+    && !aiDetectors.UNSCORED_CLASSIFICATIONS.includes(detection.classification)
+    && !segment.transcript_quality?.unreliable;
+};
+
+const computeSpeakerStats = (segments = [], { chunkLocal = false } = {}) => {
+  const ordered = segments
+    .map((segment, index) => ({ ...segment, ref: segment.id ?? index }))
+    .sort((a, b) => a.start - b.start);
+  const stats = new Map();
+
+  const statsFor = (speaker) => {
+    if (!stats.has(speaker)) {
+      stats.set(speaker, {
+        speaker,
+        segments: [],
+        total_speaking_time: 0,
+        word_count: 0,
+        turns: 0,
+        interruptions: 0,
+        overlap_time: 0,
+        scored_duration: 0,
+        weighted_probability: 0,
+        scored_segments: 0,
+        max_probability: null,
+        ai_segments: 0
+      });
+    }
+    return stats.get(speaker);
+  };
+
+  let previous = null;
+
+  ordered.forEach((segment, i) => {
+    const speaker = segment.speaker || 'SPEAKER_00';
+    const entry = statsFor(speaker);
+    const duration = segmentDuration(segment);
+
+    entry.segments.push(segment.ref);
+    entry.total_speaking_time += duration;
+    entry.word_count += countWords(segment);
+
+    // A turn starts whenever the floor passes to this speaker; cutting in
+    // before the previous speaker has finished counts as an interruption
+    if (!previous || previous.speaker !== speaker) {
+      entry.turns++;
+      if (previous && segment.start < previous.end) {
+        entry.interruptions++;
+      }
+    }
+
+    // Time spoken over any other speaker, credited to both sides
+    for (let j = i + 1; j < ordered.length && ordered[j].start < segment.end; j++) {
+      const other = ordered[j];
+      if ((other.speaker || 'SPEAKER_00') !== speaker) {
+        const overlap = Math.min(segment.end, other.end) - other.start;
+        if (overlap > 0) {
+          entry.overlap_time += overlap;
+          statsFor(other.speaker || 'SPEAKER_00').overlap_time += overlap;
+        }
+      }
+    }
+
+    if (isScored(segment)) {
+      const probability = segment.ai_detection.ai_probability;
+      // Zero-length segments still count, just barely
+      const weight = Math.max(duration, 0.001);
+      entry.scored_duration += weight;
+      entry.weighted_probability += probability * weight;
+      entry.scored_segments++;
+      entry.max_probability = entry.max_probability === null ? probability : Math.max(entry.max_probability, probability);
+      if (segment.ai_detection.classification === 'ai') {
+        entry.ai_segments++;
+      }
+    }
+
+    previous = { speaker, end: Math.max(segment.end, previous?.speaker === speaker ? previous.end : 0) };
+  });
+
+  const totalTalkTime = Array.from(stats.values()).reduce((sum, entry) => sum + entry.total_speaking_time, 0);
+
+  return Array.from(stats.values())
+    .sort((a, b) => b.total_speaking_time - a.total_speaking_time)
+    .map(entry => ({
+      speaker: entry.speaker,
+      segments: entry.segments,
+      total_speaking_time: round(entry.total_speaking_time, 2),
+      talk_share: totalTalkTime > 0 ? round(entry.total_speaking_time / totalTalkTime) : 0,
+      word_count: entry.word_count,
+      words_per_minute: entry.total_speaking_time > 0 ? round(entry.word_count / (entry.total_speaking_time / 60), 1) : 0,
+      turns: entry.turns,
+      interruptions: entry.interruptions,
+      overlap_time: round(entry.overlap_time, 2),
+      ai_probability: {
+        mean: entry.scored_segments > 0 ? round(entry.weighted_probability / entry.scored_duration) : null,
+        max: entry.max_probability === null ? null : round(entry.max_probability)
+      },
+      scored_segments: entry.scored_segments,
+      ai_segments: entry.ai_segments,
+      chunk_local: chunkLocal
+    }));
+};
+
+module.exports = {
+  computeSpeakerStats
+};
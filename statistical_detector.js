@@ -0,0 +1,221 @@
+const languageModel = require('./language_model_en.json');
+
+// Offline AI-text detector built from stylometric features of the text.
+// Each feature is standardised and combined by a logistic regression whose
+// weights were fitted on labelled human and AI-written passages by
+// fit_statistical_detector.js; the fit and its held-out metrics are recorded
+// in language_model_en.json. The reported confidence is capped and scales
+// with how much text there was to measure.
+
+const MATTR_WINDOW = 25;
+const MIN_TOKENS = 8;
+// Fewer observations than this say more about the sample than the writer,
+// so the feature is left unmeasured
+const MIN_SENTENCES = 3;
+const MIN_FUNCTION_WORDS = 20;
+const MIN_PUNCTUATION_MARKS = 5;
+const CONFIDENCE_CAP = 0.75;
+
+// The labelled passages are all written text, which has no disfluencies
+// whoever wrote it, so this weight is set by hand rather than fitted. It can
+// only push towards "human": each 3% of words that are disfluencies takes 1
+// off the logit, up to 3.
+const DISFLUENCY_PRIOR = { weight: -1.0, scale: 0.03 };
+
+const round = (value, digits = 3) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const sigmoid = (z) => 1 / (1 + Math.exp(-z));
+
+// Unigram log-probabilities from the SUBTLEX-US word counts. Words outside
+// the bundled vocabulary get an even share of the remaining corpus tokens.
+const buildUnigramModel = (model) => {
+  const logProbs = new Map(Object.entries(model.vocabulary).map(([word, count]) => [word, Math.log(count / model.corpus_tokens)]));
+  const oovLogProb = Math.log(model.unseen.tokens / model.unseen.types / model.corpus_tokens);
+  return { logProbs, oovLogProb };
+};
+
+// How often each function word occurs relative to the others in the corpus;
+// one rarer than the bundled vocabulary counts like any unseen word
+const buildFunctionWordReference = (model) => {
+  const unseenCount = model.unseen.tokens / model.unseen.types;
+  const counts = model.function_words.map(word => [word, model.vocabulary[word] || unseenCount]);
+  const total = counts.reduce((sum, [, count]) => sum + count, 0);
+  return Object.fromEntries(counts.map(([word, count]) => [word, count / total]));
+};
+
+const tokenize = (text) => text.toLowerCase().match(/[a-z]+(?:['’][a-z]+)*/g) || [];
+
+const splitSentences = (text) => text
+  .split(/(?<=[.!?])\s+|\n+/)
+  .map(s => s.trim())
+  .filter(s => tokenize(s).length > 0);
+
+// Moving-average type-token ratio, which unlike plain TTR does not fall as
+// texts get longer; null with less than one window of text, where nearly
+// every word is new whoever wrote it
+const movingAverageTTR = (tokens) => {
+  if (tokens.length < MATTR_WINDOW) {
+    return null;
+  }
+  let sum = 0;
+  const windows = tokens.length - MATTR_WINDOW + 1;
+  for (let i = 0; i < windows; i++) {
+    sum += new Set(tokens.slice(i, i + MATTR_WINDOW)).size / MATTR_WINDOW;
+  }
+  return sum / windows;
+};
+
+// Coefficient of variation of sentence lengths; null with too few sentences
+const sentenceBurstiness = (sentences) => {
+  if (sentences.length < MIN_SENTENCES) {
+    return null;
+  }
+  const lengths = sentences.map(s => tokenize(s).length);
+  const mean = lengths.reduce((sum, n) => sum + n, 0) / lengths.length;
+  const variance = lengths.reduce((sum, n) => sum + (n - mean) ** 2, 0) / lengths.length;
+  return Math.sqrt(variance) / mean;
+};
+
+// Jensen-Shannon divergence (bits) between the text's function-word
+// distribution and the reference distribution
+const functionWordDivergence = (tokens, reference) => {
+  const counts = {};
+  let total = 0;
+  for (const token of tokens) {
+    if (reference[token] !== undefined) {
+      counts[token] = (counts[token] || 0) + 1;
+      total++;
+    }
+  }
+  if (total < MIN_FUNCTION_WORDS) {
+    return null;
+  }
+
+  let divergence = 0;
+  for (const [word, q] of Object.entries(reference)) {
+    const p = (counts[word] || 0) / total;
+    const m = (p + q) / 2;
+    if (p > 0) {
+      divergence += 0.5 * p * Math.log2(p / m);
+    }
+    divergence += 0.5 * q * Math.log2(q / m);
+  }
+  return divergence;
+};
+
+// Mean negative log-probability per token under the unigram model. SUBTLEX
+// splits contractions at the apostrophe, so "don't" is looked up as "don".
+const logPerplexity = (tokens, unigram) => {
+  const total = tokens.reduce((sum, token) => {
+    const logProb = unigram.logProbs.get(token) ?? unigram.logProbs.get(token.split(/['’]/)[0]) ?? unigram.oovLogProb;
+    return sum - logProb;
+  }, 0);
+  return total / tokens.length;
+};
+
+// Shannon entropy (bits) of the punctuation marks used; null with too few marks
+const punctuationEntropy = (text) => {
+  const marks = text.match(/[.,;:!?\-—–"'()…]/g) || [];
+  if (marks.length < MIN_PUNCTUATION_MARKS) {
+    return null;
+  }
+  const counts = marks.reduce((acc, mark) => {
+    acc[mark] = (acc[mark] || 0) + 1;
+    return acc;
+  }, {});
+  return Object.values(counts).reduce((sum, count) => {
+    const p = count / marks.length;
+    return sum - p * Math.log2(p);
+  }, 0);
+};
+
+// The fitting script measures its training passages against the language
+// model it is building, so the extractor is made per model
+const buildFeatureExtractor = (model) => {
+  const unigram = buildUnigramModel(model);
+  const functionWords = buildFunctionWordReference(model);
+  const disfluencies = new Set(model.disfluencies);
+
+  return (text) => {
+    const tokens = tokenize(text);
+    const sentences = splitSentences(text);
+
+    return {
+      tokens: tokens.length,
+      sentences: sentences.length,
+      type_token_ratio: movingAverageTTR(tokens),
+      burstiness: sentenceBurstiness(sentences),
+      function_word_divergence: functionWordDivergence(tokens, functionWords),
+      log_perplexity: logPerplexity(tokens, unigram),
+      punctuation_entropy: punctuationEntropy(text),
+      disfluency_rate: tokens.filter(t => disfluencies.has(t)).length / tokens.length
+    };
+  };
+};
+
+const extractFeatures = buildFeatureExtractor(languageModel);
+
+const detect = (text) => {
+  const tokens = tokenize(text);
+  if (tokens.length < MIN_TOKENS) {
+    return {
+      ai_probability: 0,
+      classification: 'insufficient_text',
+      confidence: 0,
+      features: { tokens: tokens.length }
+    };
+  }
+
+  const features = extractFeatures(text);
+
+  // Features that could not be measured (e.g. burstiness of a single
+  // sentence) sit at the training mean, as they did in the fit, and lower the
+  // confidence instead of guessing
+  const { weights, standardisation, bias } = languageModel.classifier;
+  let z = bias;
+  let usedWeight = 0;
+  const contributions = {};
+  const totalWeight = Object.values(weights).reduce((sum, w) => sum + Math.abs(w), 0) + Math.abs(DISFLUENCY_PRIOR.weight);
+
+  for (const [name, weight] of Object.entries(weights)) {
+    const value = features[name];
+    if (value === null) {
+      continue;
+    }
+    const { mean, std } = standardisation[name];
+    const contribution = weight * Math.max(-3, Math.min(3, (value - mean) / std));
+    contributions[name] = round(contribution);
+    z += contribution;
+    usedWeight += Math.abs(weight);
+  }
+
+  const disfluency = features.disfluency_rate > 0 ? DISFLUENCY_PRIOR.weight * Math.min(3, features.disfluency_rate / DISFLUENCY_PRIOR.scale) : 0;
+  contributions.disfluency_rate = round(disfluency);
+  z += disfluency;
+  usedWeight += Math.abs(DISFLUENCY_PRIOR.weight);
+
+  // Short texts carry little confidence
+  const reliability = features.tokens / (features.tokens + 40);
+  const aiProbability = sigmoid(z);
+  const confidence = CONFIDENCE_CAP * reliability * (usedWeight / totalWeight);
+
+  const roundedFeatures = Object.fromEntries(Object.entries(features).map(([name, value]) => (
+    [name, typeof value === 'number' ? round(value) : value]
+  )));
+
+  return {
+    ai_probability: round(aiProbability),
+    classification: aiProbability > 0.5 ? 'ai' : 'human',
+    confidence: round(confidence),
+    model: languageModel.name,
+    features: roundedFeatures,
+    contributions
+  };
+};
+
+module.exports = {
+  buildFeatureExtractor,
+  detect,
+  extractFeatures,
+  tokenize
+};
@@ -0,0 +1,351 @@
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+const storagePaths = require('./storage_paths');
+const s3Signer = require('./s3_signer');
+
+// Where results and artefacts are kept once a job is done, so any instance
+// behind a load balancer can serve them. Keys are the public paths without
+// the leading slash:
+//   results/<job_id>.json, audio/<job_id>.wav, screenshots/<job_id>.png,
+//   frames/<job_id>/frame_0001.jpg
+// The pipeline still works on local files; publishArtefacts copies them to
+// the backend when the result is written.
+//
+// Every backend implements:
+//   put(key, body, { contentType })       - store a Buffer or string
+//   putFile(key, filePath, { contentType }) - store a local file
+//   get(key)                              - Buffer, or null when missing
+//   removePrefix(prefix)                  - delete matching keys, returns the count
+//   send(key, req, res)                   - answer an HTTP request for the key
+
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'local';
+
+// Top-level key prefixes, one per kind of stored file
+const STORED_KINDS = ['results', 'audio', 'screenshots', 'frames'];
+
+const CONTENT_TYPES = {
+  '.json': 'application/json',
+  '.wav': 'audio/wav',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg'
+};
+
+const contentTypeOf = (key) => CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+
+// Keys come from URLs; nothing outside the stored kinds, nothing with ".."
+const isValidKey = (key) => {
+  const parts = String(key).split('/');
+  return STORED_KINDS.includes(parts[0]) && parts.length > 1 && parts.slice(1).every(part => part && part !== '.' && part !== '..');
+};
+
+const notFound = (res) => res.status(404).json({ error: 'Not found' });
+
+// Files in the storage directories, the same place the pipeline writes to
+const local = {
+  name: 'local',
+
+  resolve: (key) => {
+    const [kind, ...rest] = key.split('/');
+    return path.join(storagePaths.STORAGE_DIRS[kind], ...rest);
+  },
+
+  put: async (key, body) => {
+    const target = local.resolve(key);
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    await fs.promises.writeFile(target, body);
+  },
+
+  putFile: async (key, filePath) => {
+    const target = local.resolve(key);
+    if (path.resolve(target) === path.resolve(filePath)) {
+      return;
+    }
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    await fs.promises.copyFile(filePath, target);
+  },
+
+  get: async (key) => {
+    try {
+      return await fs.promises.readFile(local.resolve(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  },
+
+  // "frames/<id>/" names a directory; any other prefix matches file names
+  removePrefix: async (prefix) => {
+    const isDirectory = prefix.endsWith('/');
+    const target = local.resolve(prefix);
+    const dir = path.dirname(target);
+    const start = path.basename(target);
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return 0;
+      }
+      throw error;
+    }
+    const matching = entries.filter(entry => (isDirectory ? entry === start : entry.startsWith(start)));
+    for (const entry of matching) {
+      await fs.promises.rm(path.join(dir, entry), { recursive: true, force: true });
+    }
+    return matching.length;
+  },
+
+  send: (key, req, res) => {
+    res.sendFile(path.resolve(local.resolve(key)), (error) => {
+      if (error && !res.headersSent) {
+        notFound(res);
+      }
+    });
+  }
+};
+
+// Any S3-compatible store. For MinIO:
+//   S3_ENDPOINT=http://localhost:9000 S3_BUCKET=yt-analysis
+//   S3_ACCESS_KEY_ID=minioadmin S3_SECRET_ACCESS_KEY=minioadmin
+// Artefacts are handed out as pre-signed redirects (S3_URL_MODE=presign) or
+// streamed through this service (S3_URL_MODE=proxy) when clients cannot
+// reach the store.
+const s3 = {
+  name: 's3',
+
+  config: () => {
+    const endpoint = process.env.S3_ENDPOINT || null;
+    const region = process.env.S3_REGION || 'us-east-1';
+    return {
+      endpoint: endpoint || `https://s3.${region}.amazonaws.com`,
+      region,
+      bucket: process.env.S3_BUCKET,
+      prefix: (process.env.S3_PREFIX || '').replace(/^\/+|\/+$/g, ''),
+      // MinIO and most self-hosted stores only speak path-style
+      pathStyle: process.env.S3_FORCE_PATH_STYLE ? process.env.S3_FORCE_PATH_STYLE === 'true' : Boolean(endpoint),
+      urlMode: process.env.S3_URL_MODE === 'proxy' ? 'proxy' : 'presign',
+      presignExpires: parseInt(process.env.S3_PRESIGN_EXPIRES_SECONDS, 10) || 900,
+      credentials: {
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+      }
+    };
+  },
+
+  isConfigured: () => Boolean(process.env.S3_BUCKET && process.env.S3_ACCESS_KEY_ID && process.env.S3_SECRET_ACCESS_KEY),
+
+  objectKey: (key) => {
+    const { prefix } = s3.config();
+    return prefix ? `${prefix}/${key}` : key;
+  },
+
+  // URL of an object (or of the bucket, for an empty key)
+  objectUrl: (objectKey = '') => {
+    const { endpoint, bucket, pathStyle } = s3.config();
+    const base = new URL(endpoint);
+    const encoded = s3Signer.encodeKey(objectKey);
+    return pathStyle
+      ? new URL(`${base.origin}${base.pathname.replace(/\/$/, '')}/${bucket}/${encoded}`)
+      : new URL(`${base.protocol}//${bucket}.${base.host}/${encoded}`);
+  },
+
+  request: ({ method, objectKey = '', query = {}, headers = {}, data, payloadHash, responseType, validateStatus }) => {
+    const { region, credentials } = s3.config();
+    const url = s3.objectUrl(objectKey);
+    const search = s3Signer.canonicalQuery(query);
+    return axios({
+      method,
+      url: `${url.origin}${url.pathname}${search ? `?${search}` : ''}`,
+      headers: s3Signer.signRequest({ method, url, query, headers, payloadHash, credentials, region }),
+      data,
+      responseType,
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity,
+      validateStatus
+    });
+  },
+
+  put: async (key, body, { contentType = contentTypeOf(key) } = {}) => {
+    const data = Buffer.from(body);
+    await s3.request({
+      method: 'PUT',
+      objectKey: s3.objectKey(key),
+      headers: { 'content-type': contentType, 'content-length': data.length },
+      data,
+      payloadHash: s3Signer.sha256(data)
+    });
+  },
+
+  // Streamed, so large WAVs are never held in memory
+  putFile: async (key, filePath, { contentType = contentTypeOf(key) } = {}) => {
+    const { size } = await fs.promises.stat(filePath);
+    await s3.request({
+      method: 'PUT',
+      objectKey: s3.objectKey(key),
+      headers: { 'content-type': contentType, 'content-length': size },
+      data: fs.createReadStream(filePath),
+      payloadHash: s3Signer.UNSIGNED_PAYLOAD
+    });
+  },
+
+  get: async (key) => {
+    const response = await s3.request({
+      method: 'GET',
+      objectKey: s3.objectKey(key),
+      payloadHash: s3Signer.EMPTY_PAYLOAD_HASH,
+      responseType: 'arraybuffer',
+      validateStatus: status => status === 200 || status === 404
+    });
+    return response.status === 404 ? null : Buffer.from(response.data);
+  },
+
+  listKeys: async (prefix) => {
+    const keys = [];
+    let continuationToken = null;
+    do {
+      const query = { 'list-type': 2, prefix: s3.objectKey(prefix) };
+      if (continuationToken) {
+        query['continuation-token'] = continuationToken;
+      }
+      const { data } = await s3.request({ method: 'GET', query, payloadHash: s3Signer.EMPTY_PAYLOAD_HASH, responseType: 'text' });
+      for (const match of String(data).matchAll(/<Key>([^<]*)<\/Key>/g)) {
+        keys.push(match[1].replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'"));
+      }
+      const token = String(data).match(/<NextContinuationToken>([^<]*)<\/NextContinuationToken>/);
+      continuationToken = /<IsTruncated>true<\/IsTruncated>/.test(data) && token ? token[1] : null;
+    } while (continuationToken);
+    return keys;
+  },
+
+  removePrefix: async (prefix) => {
+    const keys = await s3.listKeys(prefix);
+    for (const objectKey of keys) {
+      await s3.request({
+        method: 'DELETE',
+        objectKey,
+        payloadHash: s3Signer.EMPTY_PAYLOAD_HASH,
+        validateStatus: status => status === 204 || status === 200 || status === 404
+      });
+    }
+    return keys.length;
+  },
+
+  presign: (key) => {
+    const { region, credentials, presignExpires } = s3.config();
+    return s3Signer.presignUrl({ url: s3.objectUrl(s3.objectKey(key)), credentials, region, expiresIn: presignExpires });
+  },
+
+  send: async (key, req, res) => {
+    if (s3.config().urlMode === 'presign') {
+      return res.redirect(302, s3.presign(key));
+    }
+    const headers = req.get('range') ? { range: req.get('range') } : {};
+    const response = await s3.request({
+      method: 'GET',
+      objectKey: s3.objectKey(key),
+      headers,
+      payloadHash: s3Signer.EMPTY_PAYLOAD_HASH,
+      responseType: 'stream',
+      validateStatus: status => status < 500
+    });
+    if (response.status >= 400) {
+      response.data.resume();
+      return notFound(res);
+    }
+    res.status(response.status);
+    for (const name of ['content-type', 'content-length', 'content-range', 'accept-ranges', 'etag', 'last-modified']) {
+      if (response.headers[name]) {
+        res.set(name, response.headers[name]);
+      }
+    }
+    response.data.pipe(res);
+  }
+};
+
+const BACKENDS = { local, s3 };
+
+const isKnownBackend = (name) => Object.prototype.hasOwnProperty.call(BACKENDS, name);
+
+const getBackend = () => {
+  if (!isKnownBackend(STORAGE_BACKEND)) {
+    throw new Error(`Unknown storage backend "${STORAGE_BACKEND}" (expected one of: ${Object.keys(BACKENDS).join(', ')})`);
+  }
+  return BACKENDS[STORAGE_BACKEND];
+};
+
+// Fails startup on a backend that cannot work rather than on the first job
+const checkBackend = () => {
+  const backend = getBackend();
+  if (backend === s3 && !s3.isConfigured()) {
+    throw new Error('STORAGE_BACKEND=s3 needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+  }
+  return backend;
+};
+
+const resultKey = (jobId) => `results/${jobId}.json`;
+
+const writeResult = (jobId, result) => getBackend().put(resultKey(jobId), JSON.stringify(result, null, 2), { contentType: 'application/json' });
+
+// The stored result, or null when there is none
+const readResult = async (jobId) => {
+  if (!isValidKey(resultKey(jobId))) {
+    return null;
+  }
+  const data = await getBackend().get(resultKey(jobId));
+  return data ? JSON.parse(data.toString('utf8')) : null;
+};
+
+// Copy a job's audio, screenshot and frames to the backend
+const publishArtefacts = async (jobId, { audioPath, screenshotPath, frameDir }) => {
+  const backend = getBackend();
+  const uploads = [[`audio/${jobId}.wav`, audioPath]];
+  if (screenshotPath) {
+    uploads.push([`screenshots/${jobId}.png`, screenshotPath]);
+  }
+  if (frameDir) {
+    const frames = await fs.promises.readdir(frameDir).catch(() => []);
+    frames.forEach(file => uploads.push([`frames/${jobId}/${file}`, path.join(frameDir, file)]));
+  }
+  for (const [key, filePath] of uploads) {
+    await backend.putFile(key, filePath, { contentType: contentTypeOf(key) });
+  }
+  return uploads.length;
+};
+
+// Delete everything stored for a job; returns the number of keys removed
+const removeJob = async (jobId) => {
+  const backend = getBackend();
+  let removed = 0;
+  for (const prefix of [resultKey(jobId), `audio/${jobId}.`, `screenshots/${jobId}.`, `frames/${jobId}/`]) {
+    removed += await backend.removePrefix(prefix);
+  }
+  return removed;
+};
+
+const sendArtefact = (key, req, res) => getBackend().send(key, req, res);
+
+const getBackendStatus = () => {
+  const backend = getBackend();
+  if (backend === s3) {
+    const { endpoint, bucket, urlMode } = s3.config();
+    return { backend: 's3', endpoint, bucket, url_mode: urlMode, configured: s3.isConfigured() };
+  }
+  return { backend: 'local', path: storagePaths.STORAGE_PATH };
+};
+
+module.exports = {
+  STORAGE_BACKEND,
+  BACKENDS,
+  isValidKey,
+  getBackend,
+  checkBackend,
+  writeResult,
+  readResult,
+  publishArtefacts,
+  removeJob,
+  sendArtefact,
+  getBackendStatus
+};
@@ -0,0 +1,33 @@
+const path = require('path');
+
+// Where each kind of file lives. Everything sits under STORAGE_PATH
+// (default: the working directory); a single root can be moved elsewhere
+// with its own variable, e.g. AUDIO_PATH=/mnt/scratch/audio.
+
+const STORAGE_PATH = process.env.STORAGE_PATH || '.';
+
+const root = (variable, name) => process.env[variable] || path.join(STORAGE_PATH, name);
+
+const STORAGE_DIRS = {
+  uploads: root('UPLOADS_PATH', 'uploads'),
+  results: root('RESULTS_PATH', 'results'),
+  screenshots: root('SCREENSHOTS_PATH', 'screenshots'),
+  audio: root('AUDIO_PATH', 'audio'),
+  frames: root('FRAMES_PATH', 'frames'),
+  jobs: root('JOBS_PATH', 'jobs'),
+  cache: root('CACHE_PATH', 'cache'),
+  usage: root('USAGE_PATH', 'usage')
+};
+
+// Per-job files, all named after the job ID
+const resultFile = (jobId) => path.join(STORAGE_DIRS.results, `${jobId}.json`);
+const screenshotFile = (jobId) => path.join(STORAGE_DIRS.screenshots, `${jobId}.png`);
+const audioFile = (jobId) => path.join(STORAGE_DIRS.audio, `${jobId}.wav`);
+
+module.exports = {
+  STORAGE_PATH,
+  STORAGE_DIRS,
+  resultFile,
+  screenshotFile,
+  audioFile
+};
@@ -0,0 +1,165 @@
+const aiDetectors = require('./ai_detectors');
+
+// Renders the transcript stored in a result file as subtitles (SRT, WebVTT),
+// plain text or a marked-up HTML document that Word and Google Docs can open.
+
+// Subtitle cues are split on word boundaries so players never show a wall of text
+const MAX_CUE_CHARS = 84;
+const MAX_CUE_SECONDS = 7;
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+// seconds -> HH:MM:SS<separator>mmm
+const formatTimestamp = (seconds, separator) => {
+  const totalMs = Math.max(0, Math.round((seconds || 0) * 1000));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(totalMs % 1000, 3)}`;
+};
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Split a segment into cues of at most MAX_CUE_CHARS / MAX_CUE_SECONDS.
+// Segments without word timings become a single cue.
+const segmentToCues = (segment) => {
+  const words = (segment.words || []).filter(w => typeof w.start === 'number' && typeof w.end === 'number');
+  if (words.length === 0) {
+    return [{ start: segment.start, end: segment.end, text: segment.text.trim(), speaker: segment.speaker }];
+  }
+
+  const cues = [];
+  let current = null;
+  for (const word of words) {
+    if (current && (
+      current.text.length + 1 + word.word.length > MAX_CUE_CHARS ||
+      word.end - current.start > MAX_CUE_SECONDS
+    )) {
+      cues.push(current);
+      current = null;
+    }
+    if (!current) {
+      current = { start: word.start, end: word.end, text: word.word, speaker: segment.speaker };
+    } else {
+      current.text += ` ${word.word}`;
+      current.end = word.end;
+    }
+  }
+  cues.push(current);
+  return cues;
+};
+
+// Break cue text into at most two roughly even lines
+const wrapCueText = (text) => {
+  if (text.length <= MAX_CUE_CHARS / 2) {
+    return text;
+  }
+  const middle = Math.floor(text.length / 2);
+  const before = text.lastIndexOf(' ', middle);
+  const after = text.indexOf(' ', middle);
+  const split = before === -1 ? after : (after === -1 || middle - before <= after - middle ? before : after);
+  return split === -1 ? text : `${text.slice(0, split)}\n${text.slice(split + 1)}`;
+};
+
+const transcriptCues = (transcript) => (transcript.segments || [])
+  .filter(segment => segment.text && segment.text.trim())
+  .flatMap(segmentToCues);
+
+const toSrt = (result) => transcriptCues(result.transcript)
+  .map((cue, index) => [
+    index + 1,
+    `${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}`,
+    wrapCueText(cue.speaker ? `${cue.speaker}: ${cue.text}` : cue.text)
+  ].join('\n'))
+  .join('\n\n') + '\n';
+
+// WebVTT carries the speaker as a voice tag, which players can style or show
+const toVtt = (result) => {
+  const cues = transcriptCues(result.transcript).map((cue, index) => {
+    const text = wrapCueText(cue.text).replace(/&/g, '&amp;').replace(/</g, '&lt;');
+    return [
+      index + 1,
+      `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}`,
+      cue.speaker ? `<v ${cue.speaker}>${text}` : text
+    ].join('\n');
+  });
+  return ['WEBVTT', ...cues].join('\n\n') + '\n';
+};
+
+const toTxt = (result) => (result.transcript.segments || [])
+  .filter(segment => segment.text && segment.text.trim())
+  .map(segment => `[${formatTimestamp(segment.start, '.').slice(0, 8)}] ${segment.speaker ? `${segment.speaker}: ` : ''}${segment.text.trim()}`)
+  .join('\n') + '\n';
+
+// Background tint from green (human) through yellow to red (AI).
+// Plain hex colours because Word ignores hsl().
+const COLOUR_STOPS = [[200, 240, 200], [255, 240, 180], [255, 180, 180]];
+
+const probabilityColour = (probability) => {
+  const p = Math.max(0, Math.min(1, probability)) * (COLOUR_STOPS.length - 1);
+  const index = Math.min(Math.floor(p), COLOUR_STOPS.length - 2);
+  const t = p - index;
+  const [from, to] = [COLOUR_STOPS[index], COLOUR_STOPS[index + 1]];
+  return `#${from.map((c, i) => Math.round(c + (to[i] - c) * t).toString(16).padStart(2, '0')).join('')}`;
+};
+
+const toHtml = (result) => {
+  const source = result.youtube_url || result.source_file || result.job_id;
+  const rows = (result.transcript.segments || [])
+    .filter(segment => segment.text && segment.text.trim())
+    .map(segment => {
+      const detection = segment.ai_detection;
+      const unreliable = Boolean(segment.transcript_quality?.unreliable);
+      const scored = !unreliable && detection && typeof detection.ai_probability === 'number' && !aiDetectors.UNSCORED_CLASSIFICATIONS.includes(detection.classification);
+      const background = scored ? probabilityColour(detection.ai_probability) : '#eeeeee';
+      const label = scored ? `AI ${Math.round(detection.ai_probability * 100)}%` : (unreliable ? 'unreliable transcript' : 'not scored');
+      return `    <p style="background-color: ${background}; padding: 6px 8px; margin: 4px 0;" title="${escapeHtml(label)}">
+      <span style="color: #555555; font-size: 9pt;">[${formatTimestamp(segment.start, '.').slice(0, 8)}] ${escapeHtml(segment.speaker || '')} &middot; ${escapeHtml(label)}</span><br>
+      ${escapeHtml(segment.text.trim())}
+    </p>`;
+    });
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Transcript - ${escapeHtml(source)}</title>
+</head>
+<body style="font-family: Arial, sans-serif; font-size: 11pt; max-width: 800px;">
+  <h1 style="font-size: 16pt;">Transcript</h1>
+  <p style="color: #555555;">Source: ${escapeHtml(source)}<br>Job: ${escapeHtml(result.job_id)}<br>Analyzed: ${escapeHtml(result.timestamp || '')}</p>
+  <p style="font-size: 9pt;">
+    <span style="background-color: ${probabilityColour(0)}; padding: 2px 6px;">likely human</span>
+    <span style="background-color: ${probabilityColour(0.5)}; padding: 2px 6px;">uncertain</span>
+    <span style="background-color: ${probabilityColour(1)}; padding: 2px 6px;">likely AI</span>
+  </p>
+  <div>
+${rows.join('\n')}
+  </div>
+</body>
+</html>
+`;
+};
+
+const FORMATS = {
+  srt: { contentType: 'application/x-subrip; charset=utf-8', extension: 'srt', render: toSrt },
+  vtt: { contentType: 'text/vtt; charset=utf-8', extension: 'vtt', render: toVtt },
+  txt: { contentType: 'text/plain; charset=utf-8', extension: 'txt', render: toTxt },
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html', render: toHtml }
+};
+
+const isKnownFormat = (format) => Object.prototype.hasOwnProperty.call(FORMATS, format);
+
+module.exports = {
+  FORMATS,
+  isKnownFormat,
+  formatTimestamp,
+  toSrt,
+  toVtt,
+  toTxt,
+  toHtml
+};
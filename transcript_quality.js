@@ -0,0 +1,224 @@
+// Transcript quality report. A detector can only judge the words it is
+// given; when the transcription itself is guesswork (music, noise, mumbled
+// speech) an AI score on it says nothing. This module reads the per-word
+// probabilities and audio events the providers return and reports:
+//   - low-confidence words, merged into spans
+//   - how much of the audio has no speech at all
+//   - estimated music/noise sections
+//   - per segment, whether its transcript is reliable enough to score
+// Segments flagged unreliable are left out of the moderation verdict
+// (ai_summary.js).
+
+// Words the provider is less sure of than this count as low confidence
+const LOW_CONFIDENCE_PROBABILITY = parseFloat(process.env.TRANSCRIPT_LOW_CONFIDENCE) || 0.5;
+
+// A segment is unreliable when this share of its words is low confidence,
+// or when its mean word probability is below UNRELIABLE_MEAN_PROBABILITY
+const UNRELIABLE_WORD_SHARE = 0.4;
+const UNRELIABLE_MEAN_PROBABILITY = 0.6;
+
+// ... or when at least this share of it lies in a music/noise section
+const NON_SPEECH_OVERLAP = 0.5;
+
+// A transcript is clean when unreliable segments cover at most this share
+// of its speech
+const CLEAN_MAX_UNRELIABLE_SHARE = 0.1;
+
+// Low-confidence words at most this far apart (seconds) form one span, and
+// sections of the same kind this close are merged
+const SPAN_MERGE_GAP = 1;
+
+// Bracketed captions ("[Music]", "(applause)") and note symbols that
+// transcribers emit instead of words
+const MARKER_PATTERN = /^[\s♪♫]*([[(][^\])]*[\])][\s♪♫]*)+$|^[\s♪♫]+$/;
+const MUSIC_PATTERN = /music|sing|song|♪|♫/i;
+
+const round = (value, digits = 3) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const duration = (item) => Math.max(0, (item.end || 0) - (item.start || 0));
+
+const hasProbability = (word) => typeof word.probability === 'number';
+
+const isMarker = (text) => MARKER_PATTERN.test(String(text || '').trim());
+
+const classifyEvent = (text) => (MUSIC_PATTERN.test(text) ? 'music' : 'noise');
+
+// Sorted intervals with overlaps (and gaps up to maxGap) joined
+const mergeIntervals = (intervals, maxGap = 0) => {
+  const merged = [];
+  for (const interval of [...intervals].sort((a, b) => a.start - b.start)) {
+    const last = merged[merged.length - 1];
+    if (last && interval.start - last.end <= maxGap) {
+      last.end = Math.max(last.end, interval.end);
+    } else {
+      merged.push({ ...interval });
+    }
+  }
+  return merged;
+};
+
+const overlap = (a, b) => Math.max(0, Math.min(a.end, b.end) - Math.max(a.start, b.start));
+
+const meanProbability = (words) => {
+  const rated = words.filter(hasProbability);
+  return rated.length > 0 ? rated.reduce((sum, w) => sum + w.probability, 0) / rated.length : null;
+};
+
+// Consecutive low-confidence words, per segment
+const findLowConfidenceSpans = (segments, threshold) => {
+  const spans = [];
+  segments.forEach((segment, index) => {
+    let current = null;
+    for (const word of segment.words || []) {
+      const low = hasProbability(word) && word.probability < threshold;
+      if (low && current && word.start - current.end <= SPAN_MERGE_GAP) {
+        current.words.push(word);
+        current.end = word.end;
+      } else if (low) {
+        current = { segment_id: segment.id ?? index, start: word.start, end: word.end, words: [word] };
+        spans.push(current);
+      } else {
+        current = null;
+      }
+    }
+  });
+
+  return spans.map(({ words, ...span }) => ({
+    ...span,
+    text: words.map(w => w.word).join(' '),
+    word_count: words.length,
+    min_probability: round(Math.min(...words.map(w => w.probability)))
+  }));
+};
+
+// Music/noise from the provider's audio events and caption markers, plus
+// segments whose words are mostly guesswork (typically lyrics under music)
+const findNonSpeechSections = (transcript, segmentStats) => {
+  const sections = [];
+  for (const event of transcript.audio_events || []) {
+    sections.push({ start: event.start, end: event.end, kind: classifyEvent(event.text), source: 'audio_event' });
+  }
+  (transcript.segments || []).forEach((segment, index) => {
+    if (isMarker(segment.text)) {
+      sections.push({ start: segment.start, end: segment.end, kind: classifyEvent(segment.text), source: 'marker' });
+    } else if (segmentStats[index].mean_word_probability !== null && segmentStats[index].mean_word_probability < LOW_CONFIDENCE_PROBABILITY) {
+      sections.push({ start: segment.start, end: segment.end, kind: 'unclear', source: 'low_confidence' });
+    }
+  });
+
+  const byKind = {};
+  for (const section of sections) {
+    (byKind[section.kind] = byKind[section.kind] || []).push(section);
+  }
+  return Object.values(byKind)
+    .flatMap(list => mergeIntervals(list, SPAN_MERGE_GAP))
+    .sort((a, b) => a.start - b.start)
+    .map(section => ({ ...section, start: round(section.start, 2), end: round(section.end, 2), duration: round(duration(section), 2) }));
+};
+
+// Word statistics of one segment
+const describeSegment = (segment, threshold) => {
+  const words = segment.words || [];
+  const rated = words.filter(hasProbability);
+  const mean = meanProbability(words);
+  const low = rated.filter(w => w.probability < threshold).length;
+  return {
+    mean_word_probability: mean === null ? null : round(mean),
+    low_confidence_words: low,
+    low_confidence_share: rated.length > 0 ? round(low / rated.length) : null
+  };
+};
+
+// Why a segment's transcript cannot be trusted, or null
+const unreliableReason = (segment, stats, sections) => {
+  if (isMarker(segment.text)) {
+    return 'non_speech_marker';
+  }
+  const nonSpeech = sections
+    .filter(section => section.source !== 'low_confidence')
+    .reduce((sum, section) => sum + overlap(segment, section), 0);
+  if (duration(segment) > 0 && nonSpeech / duration(segment) >= NON_SPEECH_OVERLAP) {
+    return 'music_or_noise';
+  }
+  if (stats.mean_word_probability !== null && stats.mean_word_probability < UNRELIABLE_MEAN_PROBABILITY) {
+    return 'low_mean_confidence';
+  }
+  if (stats.low_confidence_share !== null && stats.low_confidence_share >= UNRELIABLE_WORD_SHARE) {
+    return 'many_low_confidence_words';
+  }
+  return null;
+};
+
+// The transcript with transcript_quality on each segment, and the report.
+// audioDuration is the length of the whole recording, which can be longer
+// than the last word.
+const assessTranscript = (transcript, { audioDuration, threshold = LOW_CONFIDENCE_PROBABILITY } = {}) => {
+  const segments = transcript.segments || [];
+  const words = segments.flatMap(segment => segment.words || []);
+  const rated = words.filter(hasProbability);
+  const segmentStats = segments.map(segment => describeSegment(segment, threshold));
+  const sections = findNonSpeechSections(transcript, segmentStats);
+
+  const annotated = segments.map((segment, index) => {
+    const reason = unreliableReason(segment, segmentStats[index], sections);
+    return {
+      ...segment,
+      transcript_quality: { ...segmentStats[index], unreliable: Boolean(reason), ...(reason && { reason }) }
+    };
+  });
+
+  // Speech is where words were heard; segments stand in when there are no word timings
+  const speechIntervals = segments
+    .filter(segment => !isMarker(segment.text))
+    .flatMap(segment => (segment.words?.length > 0 ? segment.words.filter(w => !isMarker(w.word)) : [segment]))
+    .filter(item => duration(item) > 0);
+  const speech = mergeIntervals(speechIntervals).reduce((sum, item) => sum + duration(item), 0);
+  const totalDuration = Math.max(audioDuration || 0, transcript.duration || 0, speech);
+
+  const speechSegments = annotated.filter(segment => !isMarker(segment.text));
+  const speechDuration = speechSegments.reduce((sum, segment) => sum + duration(segment), 0);
+  const unreliable = speechSegments.filter(segment => segment.transcript_quality.unreliable);
+  const unreliableDuration = unreliable.reduce((sum, segment) => sum + duration(segment), 0);
+  const unreliableShare = speechDuration > 0 ? unreliableDuration / speechDuration : 0;
+  const mean = meanProbability(words);
+  const lowConfidence = rated.filter(w => w.probability < threshold).length;
+
+  return {
+    transcript: { ...transcript, segments: annotated },
+    report: {
+      low_confidence_threshold: threshold,
+      word_count: words.length,
+      rated_words: rated.length,
+      mean_word_probability: mean === null ? null : round(mean),
+      low_confidence_words: lowConfidence,
+      low_confidence_share: rated.length > 0 ? round(lowConfidence / rated.length) : null,
+      low_confidence_spans: findLowConfidenceSpans(segments, threshold),
+      no_speech_duration: round(Math.max(0, totalDuration - speech), 2),
+      no_speech_share: totalDuration > 0 ? round(1 - speech / totalDuration) : 0,
+      non_speech_sections: sections,
+      unreliable_segments: unreliable.length,
+      unreliable_share: round(unreliableShare),
+      clean: unreliableShare <= CLEAN_MAX_UNRELIABLE_SHARE
+    }
+  };
+};
+
+// The part of the report processing_summary carries
+const summarizeQuality = (report) => ({
+  clean: report.clean,
+  unreliable_segments: report.unreliable_segments,
+  unreliable_share: report.unreliable_share,
+  low_confidence_share: report.low_confidence_share,
+  no_speech_share: report.no_speech_share,
+  music_or_noise_duration: round(report.non_speech_sections
+    .filter(section => section.kind !== 'unclear')
+    .reduce((sum, section) => sum + section.duration, 0), 2)
+});
+
+module.exports = {
+  LOW_CONFIDENCE_PROBABILITY,
+  CLEAN_MAX_UNRELIABLE_SHARE,
+  isMarker,
+  assessTranscript,
+  summarizeQuality
+};
@@ -0,0 +1,510 @@
+const FormData = require('form-data');
+const { spawn } = require('child_process');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const languageId = require('./language_id');
+const httpClient = require('./http_client');
+const audioPreprocessing = require('./audio_preprocessing');
+
+// Every provider returns the transcript shape documented in
+// sample_output_json.json:
+//   { language, duration, text, segments: [{ id, text, start, end, speaker,
+//     words: [{ word, start, end, probability }] }], provider, model }
+// plus audio_events: [{ text, start, end }] ("(music)", "(applause)") where
+// the provider tags non-speech sounds.
+
+const DEFAULT_SPEAKER = 'SPEAKER_00';
+
+// Break a new segment after sentence punctuation, on a speaker change or
+// after a pause this long (seconds)
+const SEGMENT_PAUSE_SECONDS = 1.5;
+
+const round = (value, digits = 3) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const formatSpeaker = (speakerId) => {
+  if (speakerId === undefined || speakerId === null) {
+    return DEFAULT_SPEAKER;
+  }
+  const match = String(speakerId).match(/(\d+)$/);
+  return match ? `SPEAKER_${match[1].padStart(2, '0')}` : String(speakerId);
+};
+
+// Group a flat word list into sentence-like segments
+const buildSegmentsFromWords = (words) => {
+  const segments = [];
+  let current = null;
+
+  const flush = () => {
+    if (current && current.words.length > 0) {
+      segments.push({
+        id: segments.length,
+        text: current.words.map(w => w.word).join(' '),
+        start: current.words[0].start,
+        end: current.words[current.words.length - 1].end,
+        speaker: current.speaker,
+        words: current.words
+      });
+    }
+    current = null;
+  };
+
+  for (const word of words) {
+    const previous = current?.words[current.words.length - 1];
+    if (current && (current.speaker !== word.speaker || word.start - previous.end > SEGMENT_PAUSE_SECONDS)) {
+      flush();
+    }
+    if (!current) {
+      current = { speaker: word.speaker, words: [] };
+    }
+
+    current.words.push({
+      word: word.word,
+      start: word.start,
+      end: word.end,
+      probability: word.probability
+    });
+
+    if (/[.!?]["')\]]*$/.test(word.word)) {
+      flush();
+    }
+  }
+  flush();
+
+  return segments;
+};
+
+// Providers answer in ISO 639-1 or 639-3; results always carry 639-1 where known
+const finalizeTranscript = ({ language, segments, provider, model, audioEvents = [] }) => ({
+  language: languageId.normalizeLanguage(language),
+  duration: segments.length > 0 ? segments[segments.length - 1].end : 0,
+  text: segments.map(s => s.text).join(' '),
+  segments,
+  audio_events: audioEvents,
+  provider,
+  model
+});
+
+// ElevenLabs Scribe (hosted). Long files take minutes to transcribe, hence
+// the generous timeout.
+const elevenlabsHttp = httpClient.createClient('elevenlabs', {
+  timeoutMs: parseInt(process.env.ELEVENLABS_TIMEOUT_MS, 10) || 10 * 60 * 1000
+});
+
+const elevenlabs = {
+  name: 'elevenlabs',
+  model: process.env.ELEVENLABS_MODEL_ID || 'scribe_v1',
+  // Audio formats it accepts for upload
+  formats: ['wav', 'flac', 'opus'],
+
+  isAvailable: async () => Boolean(process.env.ELEVENLABS_API_KEY),
+
+  transcribe: async (audioPath, { language, signal } = {}) => {
+    console.log('🎙️ Starting ElevenLabs transcription...');
+    const audioBuffer = await fs.readFile(audioPath);
+
+    const formData = new FormData();
+    formData.append('file', audioBuffer, path.basename(audioPath));
+    formData.append('model_id', elevenlabs.model);
+    formData.append('diarize', 'true');
+    formData.append('timestamps_granularity', 'word');
+    if (language) {
+      formData.append('language_code', language);
+    }
+
+    // Sent as a buffer rather than a stream so a retry can send it again
+    const response = await elevenlabsHttp.post(
+      'https://api.elevenlabs.io/v1/speech-to-text',
+      formData.getBuffer(),
+      {
+        headers: {
+          'xi-api-key': process.env.ELEVENLABS_API_KEY,
+          ...formData.getHeaders()
+        },
+        maxBodyLength: Infinity,
+        signal
+      }
+    );
+
+    console.log(`✅ ElevenLabs transcription completed${response.attempts > 1 ? ` after ${response.attempts} attempts` : ''}!`);
+    return elevenlabs.normalize(response.data);
+  },
+
+  normalize: (data) => {
+    const words = (data.words || [])
+      .filter(w => w.type === undefined || w.type === 'word')
+      .map(w => ({
+        word: w.text ?? w.word,
+        start: w.start,
+        end: w.end,
+        speaker: formatSpeaker(w.speaker_id ?? w.speaker),
+        probability: typeof w.logprob === 'number' ? round(Math.exp(w.logprob)) : (w.probability ?? null)
+      }));
+
+    // Older responses already carried segments; keep their boundaries
+    const segments = Array.isArray(data.segments)
+      ? data.segments.map((segment, index) => ({
+        id: segment.id ?? index,
+        text: segment.text.trim(),
+        start: segment.start,
+        end: segment.end,
+        speaker: formatSpeaker(segment.speaker ?? segment.speaker_id),
+        words: (segment.words || []).map(w => ({
+          word: w.word ?? w.text,
+          start: w.start,
+          end: w.end,
+          probability: w.probability ?? null
+        }))
+      }))
+      : buildSegmentsFromWords(words);
+
+    const audioEvents = (data.words || [])
+      .filter(w => w.type === 'audio_event')
+      .map(w => ({ text: w.text, start: w.start, end: w.end }));
+
+    return finalizeTranscript({
+      language: data.language_code || data.language,
+      segments,
+      provider: 'elevenlabs',
+      model: elevenlabs.model,
+      audioEvents
+    });
+  }
+};
+
+// whisper.cpp run locally as a subprocess, fully offline
+const whisper = {
+  name: 'whisper',
+  model: process.env.WHISPER_MODEL_PATH ? path.basename(process.env.WHISPER_MODEL_PATH) : null,
+  formats: ['wav'],
+  // One run already uses every core
+  concurrency: 1,
+  // Every segment is SPEAKER_00, so chunks have no labels to reconcile
+  diarizes: false,
+
+  isAvailable: async () => {
+    if (!process.env.WHISPER_MODEL_PATH) {
+      return false;
+    }
+    try {
+      await fs.access(process.env.WHISPER_MODEL_PATH);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  },
+
+  transcribe: async (audioPath, { language, signal } = {}) => {
+    console.log('🎙️ Starting local whisper.cpp transcription...');
+    const binary = process.env.WHISPER_CPP_BIN || 'whisper-cli';
+    const outputBase = path.join(os.tmpdir(), `whisper-${path.basename(audioPath, path.extname(audioPath))}-${Date.now()}`);
+    const args = [
+      '-m', process.env.WHISPER_MODEL_PATH,
+      '-f', audioPath,
+      '-l', language || 'auto',
+      '-t', String(process.env.WHISPER_THREADS || os.cpus().length),
+      '-ojf',
+      '-of', outputBase
+    ];
+
+    await new Promise((resolve, reject) => {
+      const child = spawn(binary, args, { signal, stdio: ['ignore', 'ignore', 'pipe'] });
+      let stderr = '';
+      child.stderr.on('data', chunk => {
+        stderr = (stderr + chunk).slice(-2000);
+      });
+      child.on('error', reject);
+      child.on('close', (code) => {
+        if (code === 0) {
+          resolve();
+        } else {
+          reject(new Error(`whisper.cpp exited with code ${code}: ${stderr.trim().split('\n').pop()}`));
+        }
+      });
+    });
+
+    try {
+      const data = JSON.parse(await fs.readFile(`${outputBase}.json`, 'utf8'));
+      console.log('✅ whisper.cpp transcription completed!');
+      return whisper.normalize(data);
+    } finally {
+      await fs.unlink(`${outputBase}.json`).catch(() => {});
+    }
+  },
+
+  // whisper.cpp emits sub-word tokens; a token starting with a space opens a new word
+  tokensToWords: (tokens) => {
+    const words = [];
+    for (const token of tokens || []) {
+      if (!token.text || token.text.startsWith('[_')) {
+        continue;
+      }
+      const start = token.offsets.from / 1000;
+      const end = token.offsets.to / 1000;
+      const last = words[words.length - 1];
+      if (!last || /^\s/.test(token.text)) {
+        words.push({ word: token.text.trim(), start, end, probabilities: [token.p] });
+      } else {
+        last.word += token.text;
+        last.end = end;
+        last.probabilities.push(token.p);
+      }
+    }
+
+    return words
+      .filter(w => w.word.length > 0)
+      .map(({ probabilities, ...w }) => ({
+        ...w,
+        probability: round(Math.min(...probabilities))
+      }));
+  },
+
+  normalize: (data) => {
+    const segments = (data.transcription || [])
+      .map(entry => ({
+        text: entry.text.trim(),
+        start: entry.offsets.from / 1000,
+        end: entry.offsets.to / 1000,
+        speaker: DEFAULT_SPEAKER,
+        words: whisper.tokensToWords(entry.tokens)
+      }))
+      .filter(segment => segment.text.length > 0)
+      .map((segment, index) => ({ id: index, ...segment }));
+
+    return finalizeTranscript({
+      language: data.result?.language,
+      segments,
+      provider: 'whisper',
+      model: whisper.model
+    });
+  }
+};
+
+const PROVIDERS = { elevenlabs, whisper };
+
+// Tried in this order when neither the request nor TRANSCRIPTION_PROVIDER names one
+const DEFAULT_ORDER = ['elevenlabs', 'whisper'];
+
+const isKnownProvider = (name) => Object.prototype.hasOwnProperty.call(PROVIDERS, name);
+
+const resolveProvider = async (requested) => {
+  const name = requested || process.env.TRANSCRIPTION_PROVIDER;
+
+  if (name) {
+    if (!isKnownProvider(name)) {
+      throw new Error(`Unknown transcription provider "${name}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+    if (!(await PROVIDERS[name].isAvailable())) {
+      throw new Error(`Transcription provider "${name}" is not configured`);
+    }
+    return PROVIDERS[name];
+  }
+
+  for (const candidate of DEFAULT_ORDER) {
+    if (await PROVIDERS[candidate].isAvailable()) {
+      return PROVIDERS[candidate];
+    }
+  }
+
+  throw new Error('No transcription provider is configured. Set ELEVENLABS_API_KEY or WHISPER_MODEL_PATH.');
+};
+
+const mostCommon = (values) => {
+  const counts = new Map();
+  for (const value of values) {
+    counts.set(value, (counts.get(value) || 0) + 1);
+  }
+  return Array.from(counts.entries()).sort((a, b) => b[1] - a[1])[0]?.[0] ?? null;
+};
+
+// A word heard by both chunks of an overlap ties their speaker labels
+// together when its text matches and its midpoints are this close (seconds)
+const SPEAKER_MATCH_SECONDS = 0.5;
+
+const normalizeWord = (word) => String(word || '').toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+
+const midpoint = (item) => (item.start + item.end) / 2;
+
+// Map one chunk's speaker labels onto the labels used so far, by the words
+// it and the previous chunk both heard in their overlap. Each label takes
+// the earlier label it shares most words with, one to one; the rest keep
+// their own label if it is free, or get the next unused one. resolved is
+// false when a label found no match while an earlier speaker is still
+// unclaimed, since the two may be the same voice.
+const matchSpeakers = ({ previousWords, words, labels, overlap, usedLabels }) => {
+  const inOverlap = (word) => midpoint(word) >= overlap.start && midpoint(word) <= overlap.end;
+  const candidates = previousWords.filter(inOverlap);
+  const votes = new Map();
+
+  for (const word of words.filter(inOverlap)) {
+    const index = candidates.findIndex(candidate => word.text && candidate.text === word.text &&
+      Math.abs(midpoint(candidate) - midpoint(word)) <= SPEAKER_MATCH_SECONDS);
+    if (index === -1) {
+      continue;
+    }
+    const key = `${word.speaker}\n${candidates[index].speaker}`;
+    votes.set(key, (votes.get(key) || 0) + 1);
+    candidates.splice(index, 1);
+  }
+
+  const mapping = {};
+  const claimed = new Set();
+  const ranked = Array.from(votes.entries()).sort((a, b) => b[1] - a[1]);
+  for (const [key] of ranked) {
+    const [local, earlier] = key.split('\n');
+    if (!(local in mapping) && !claimed.has(earlier)) {
+      mapping[local] = earlier;
+      claimed.add(earlier);
+    }
+  }
+
+  const unmatched = labels.filter(label => !(label in mapping));
+  const taken = new Set(usedLabels);
+  let next = 0;
+  for (const label of unmatched) {
+    let fresh = label;
+    while (taken.has(fresh)) {
+      fresh = formatSpeaker(next++);
+    }
+    mapping[label] = fresh;
+    taken.add(fresh);
+  }
+
+  return {
+    mapping,
+    resolved: unmatched.length === 0 || usedLabels.every(label => claimed.has(label))
+  };
+};
+
+// One transcript from the transcripts of overlapping chunks (see
+// audio_preprocessing.planChunks). Times are moved by the chunk's start;
+// in an overlap each word is kept from the chunk whose own range [from, to)
+// holds its midpoint, so it appears exactly once. Each chunk is diarized on
+// its own, so its speaker labels are matched to the earlier chunks' (see
+// matchSpeakers); speakers_reconciled says whether every label could be.
+const stitchTranscripts = (parts, { diarized = true } = {}) => {
+  const segments = [];
+  const audioEvents = [];
+  const usedLabels = [];
+  let previous = null;
+  let reconciled = true;
+
+  for (const { chunk, transcript } of parts) {
+    const shift = (item) => ({ ...item, start: round(item.start + chunk.start), end: round(item.end + chunk.start) });
+    const owns = (item) => {
+      const middle = (item.start + item.end) / 2;
+      return middle >= chunk.from && middle < chunk.to;
+    };
+
+    const labels = Array.from(new Set(transcript.segments.map(segment => segment.speaker || DEFAULT_SPEAKER)));
+    const heard = transcript.segments.flatMap(segment => (segment.words || []).map(word => ({
+      ...shift(word),
+      text: normalizeWord(word.word),
+      speaker: segment.speaker || DEFAULT_SPEAKER
+    })));
+
+    let mapping = Object.fromEntries(labels.map(label => [label, label]));
+    if (diarized && previous) {
+      const match = matchSpeakers({
+        previousWords: previous.words,
+        words: heard,
+        labels,
+        overlap: { start: chunk.start, end: previous.chunk.end },
+        usedLabels
+      });
+      mapping = match.mapping;
+      reconciled = reconciled && match.resolved;
+    }
+    const relabel = (segment) => ({ ...segment, speaker: mapping[segment.speaker || DEFAULT_SPEAKER] });
+
+    for (const label of Object.values(mapping)) {
+      if (!usedLabels.includes(label)) {
+        usedLabels.push(label);
+      }
+    }
+    previous = { chunk, words: heard.map(word => ({ ...word, speaker: mapping[word.speaker] })) };
+
+    for (const segment of transcript.segments) {
+      const moved = relabel(shift(segment));
+      if (!Array.isArray(segment.words) || segment.words.length === 0) {
+        if (owns(moved)) {
+          segments.push(moved);
+        }
+        continue;
+      }
+
+      const words = segment.words.map(shift).filter(owns);
+      if (words.length === segment.words.length) {
+        segments.push({ ...moved, words });
+      } else if (words.length > 0) {
+        segments.push({
+          ...moved,
+          text: words.map(w => w.word).join(' '),
+          start: words[0].start,
+          end: words[words.length - 1].end,
+          words
+        });
+      }
+    }
+    audioEvents.push(...(transcript.audio_events || []).map(shift).filter(owns));
+  }
+
+  const first = parts[0].transcript;
+  return {
+    ...finalizeTranscript({
+      language: mostCommon(parts.map(({ transcript }) => transcript.language).filter(Boolean)),
+      segments: segments.map((segment, id) => ({ ...segment, id })),
+      provider: first.provider,
+      model: first.model,
+      audioEvents
+    }),
+    speakers_reconciled: reconciled,
+    chunks: parts.map(({ chunk }) => ({ index: chunk.index, start: chunk.start, end: chunk.end }))
+  };
+};
+
+// Long audio is transcribed in chunks, several at a time, in the upload
+// format the provider takes
+const transcribe = async (audioPath, { provider, language, signal } = {}) => {
+  const selected = await resolveProvider(provider);
+  const format = selected.formats.includes(audioPreprocessing.AUDIO_FORMAT) ? audioPreprocessing.AUDIO_FORMAT : 'wav';
+  const { chunks, cleanup } = await audioPreprocessing.prepareChunks(audioPath, { format, signal });
+
+  try {
+    const concurrency = Math.min(selected.concurrency || Infinity, audioPreprocessing.TRANSCRIPTION_CONCURRENCY);
+    const transcripts = await audioPreprocessing.mapWithConcurrency(
+      chunks,
+      concurrency,
+      (chunk, index, chunkSignal) => selected.transcribe(chunk.path, { language, signal: chunkSignal }),
+      { signal }
+    );
+    // A single untrimmed chunk is already on the recording's timeline
+    if (chunks.length === 1 && chunks[0].start === 0) {
+      return transcripts[0];
+    }
+    return stitchTranscripts(
+      chunks.map((chunk, index) => ({ chunk, transcript: transcripts[index] })),
+      { diarized: selected.diarizes !== false }
+    );
+  } finally {
+    await cleanup();
+  }
+};
+
+const getProviderStatus = async () => {
+  const status = {};
+  for (const [name, provider] of Object.entries(PROVIDERS)) {
+    status[name] = (await provider.isAvailable()) ? 'configured' : 'missing';
+  }
+  return status;
+};
+
+module.exports = {
+  PROVIDERS,
+  isKnownProvider,
+  resolveProvider,
+  transcribe,
+  getProviderStatus,
+  buildSegmentsFromWords,
+  stitchTranscripts
+};
@@ -0,0 +1,178 @@
+const fs = require('fs').promises;
+const path = require('path');
+const storagePaths = require('./storage_paths');
+
+// Per-client usage, one file per UTC day:
+//   usage/2026-10-19.json -> { "<client>": { jobs, transcription_seconds,
+//                                            detector_calls: { gptzero: 12 },
+//                                            reserved_seconds: { <job id>: 600 } } }
+// Only work actually done is counted: cached transcripts and detections
+// are free. Jobs submitted while authentication is off count as "anonymous".
+// Quotas hold across instances that share USAGE_PATH, except that two
+// instances updating the same day at the same moment can lose one update.
+
+const USAGE_DIR = storagePaths.STORAGE_DIRS.usage;
+const ANONYMOUS = 'anonymous';
+
+// Detector statuses that mean the detector was actually called
+const CALLED_STATUSES = ['ok', 'error'];
+
+// Every write goes through this chain; within one instance updates to a
+// day file never interleave
+let writeChain = Promise.resolve();
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const usageFilePath = (date) => path.join(USAGE_DIR, `${date}.json`);
+
+const emptyUsage = () => ({ jobs: 0, transcription_seconds: 0, detector_calls: {} });
+
+// A day's usage as stored. Not cached: instances sharing USAGE_PATH see
+// each other's usage on the next read.
+const loadDay = (date) => fs.readFile(usageFilePath(date), 'utf8')
+  .then(data => JSON.parse(data))
+  .catch(error => {
+    if (error.code !== 'ENOENT') {
+      console.error(`Failed to read usage for ${date}:`, error.message);
+    }
+    return {};
+  });
+
+// Re-read a day, apply mutate and write it back with the job registry's
+// temp file + rename. Resolves to what mutate returns; rejects, writing
+// nothing, when mutate throws.
+const updateDay = (date, mutate) => {
+  const filePath = usageFilePath(date);
+  const update = writeChain.then(async () => {
+    const usage = await loadDay(date);
+    const returned = mutate(usage);
+    await fs.mkdir(USAGE_DIR, { recursive: true });
+    await fs.writeFile(`${filePath}.tmp`, JSON.stringify(usage, null, 2));
+    await fs.rename(`${filePath}.tmp`, filePath);
+    return returned;
+  });
+  writeChain = update.catch(error => {
+    if (!error.quota) {
+      console.error(`Failed to persist usage for ${date}:`, error.message);
+    }
+  });
+  return update;
+};
+
+const addUsage = (total, usage) => {
+  total.jobs += usage.jobs;
+  total.transcription_seconds = round(total.transcription_seconds + usage.transcription_seconds);
+  for (const [detector, calls] of Object.entries(usage.detector_calls)) {
+    total.detector_calls[detector] = (total.detector_calls[detector] || 0) + calls;
+  }
+  return total;
+};
+
+const entryFor = (usage, name) => usage[name] || (usage[name] = emptyUsage());
+
+const recordUsage = async (clientName, { jobs = 0, transcriptionSeconds = 0, detectorCalls = {} } = {}) => updateDay(today(), (usage) => {
+  const entry = entryFor(usage, clientName || ANONYMOUS);
+  return addUsage(entry, { jobs, transcription_seconds: transcriptionSeconds, detector_calls: detectorCalls });
+}).catch(() => null);
+
+// Detector calls made while scoring a transcript (its detection windows)
+const countDetectorCalls = (segments = []) => {
+  const calls = {};
+  for (const segment of segments) {
+    for (const [name, result] of Object.entries(segment.ai_detection?.detectors || {})) {
+      if (CALLED_STATUSES.includes(result.status)) {
+        calls[name] = (calls[name] || 0) + 1;
+      }
+    }
+  }
+  return calls;
+};
+
+// Audio held for jobs between their quota check and their transcription
+const reservedSeconds = (entry) => Object.values(entry?.reserved_seconds || {}).reduce((sum, seconds) => sum + seconds, 0);
+
+// Totals plus one entry per day, oldest first, ending today
+const getUsage = async (clientName, { days: dayCount = 7 } = {}) => {
+  const name = clientName || ANONYMOUS;
+  const now = Date.now();
+  const history = [];
+  for (let offset = dayCount - 1; offset >= 0; offset--) {
+    const date = new Date(now - offset * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const { reserved_seconds: reserved, ...usage } = (await loadDay(date))[name] || emptyUsage();
+    history.push({ date, ...usage, detector_calls: { ...usage.detector_calls } });
+  }
+  return {
+    totals: history.reduce(addUsage, emptyUsage()),
+    days: history
+  };
+};
+
+const remainingIn = (client, entry) => Math.max(0, round(client.daily_audio_minutes * 60 - (entry?.transcription_seconds || 0) - reservedSeconds(entry)));
+
+// Seconds of audio the client may still have transcribed today, less what
+// running jobs have reserved, or null when it has no daily cap
+const remainingAudioSeconds = async (client) => {
+  if (!client?.daily_audio_minutes) {
+    return null;
+  }
+  return remainingIn(client, (await loadDay(today()))[client.name]);
+};
+
+const quotaExceededError = (client, durationSeconds, remaining) => {
+  const error = new Error(`Daily audio quota exceeded: ${round(durationSeconds / 60)} min of audio, ${round(remaining / 60)} of ${client.daily_audio_minutes} min left today`);
+  error.quota = true;
+  return error;
+};
+
+// Refuse a video that would take the client over its daily cap, or else
+// hold durationSeconds of the quota for jobId, in one update so jobs
+// checked side by side cannot all pass on the same remaining minutes.
+// Resolves to the reservation to settle once the job is transcribed or
+// over, or null for an uncapped client.
+const reserveAudio = async (client, jobId, durationSeconds) => {
+  if (!client?.daily_audio_minutes) {
+    return null;
+  }
+  const date = today();
+  await updateDay(date, (usage) => {
+    const entry = entryFor(usage, client.name);
+    // A job re-run after a restart replaces its earlier reservation
+    const { [jobId]: earlier, ...others } = entry.reserved_seconds || {};
+    const remaining = remainingIn(client, { ...entry, reserved_seconds: others });
+    if (durationSeconds > remaining) {
+      throw quotaExceededError(client, durationSeconds, remaining);
+    }
+    entry.reserved_seconds = { ...others, [jobId]: round(durationSeconds) };
+  });
+  return { client: client.name, jobId, date };
+};
+
+// Give a reservation back. The audio actually transcribed is charged
+// separately with recordUsage; releasing twice is harmless.
+const releaseAudio = async (reservation) => {
+  if (!reservation) {
+    return;
+  }
+  await updateDay(reservation.date, (usage) => {
+    const entry = usage[reservation.client];
+    if (entry?.reserved_seconds) {
+      delete entry.reserved_seconds[reservation.jobId];
+      if (Object.keys(entry.reserved_seconds).length === 0) {
+        delete entry.reserved_seconds;
+      }
+    }
+  }).catch(() => null);
+};
+
+module.exports = {
+  USAGE_DIR,
+  ANONYMOUS,
+  recordUsage,
+  countDetectorCalls,
+  getUsage,
+  remainingAudioSeconds,
+  reserveAudio,
+  releaseAudio
+};
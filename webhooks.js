@@ -0,0 +1,221 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+// Completion callbacks. Each delivery is a JSON POST signed with
+// HMAC-SHA256 over "<timestamp>.<body>" using WEBHOOK_SECRET, retried with
+// exponential backoff while the receiver is unreachable or answers 408, 429
+// or 5xx. Any other response ends the delivery.
+// Callbacks never reach private, loopback, link-local or other reserved
+// addresses unless the host is listed in WEBHOOK_ALLOWED_HOSTS. The check
+// runs when connecting, on the address actually connected to, so a host
+// that resolves differently after submission cannot get around it.
+
+const SIGNATURE_HEADER = 'X-Webhook-Signature';
+const TIMESTAMP_HEADER = 'X-Webhook-Timestamp';
+
+const WEBHOOK_MAX_ATTEMPTS = Math.max(1, parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6);
+const WEBHOOK_BASE_DELAY_MS = parseInt(process.env.WEBHOOK_BASE_DELAY_MS, 10) || 2000;
+const WEBHOOK_MAX_DELAY_MS = 5 * 60 * 1000;
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+// Includes the cloud metadata endpoint (169.254.169.254), IPv6 unique
+// local addresses and IPv4 addresses written as IPv6
+const BLOCKED_NETWORKS = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => BLOCKED_NETWORKS.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['::ffff:0:0', 96], ['64:ff9b::', 96],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_NETWORKS.addSubnet(network, prefix, 'ipv6'));
+
+const BLOCKED_ADDRESS = 'WEBHOOK_BLOCKED_ADDRESS';
+
+const isConfigured = () => Boolean(process.env.WEBHOOK_SECRET);
+
+// URL.hostname keeps the brackets of an IPv6 literal
+const hostOf = (url) => new URL(url).hostname.replace(/^\[(.*)\]$/, '$1').toLowerCase();
+
+const isBlockedAddress = (address) => {
+  const family = net.isIP(address);
+  return family !== 0 && BLOCKED_NETWORKS.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+// WEBHOOK_ALLOWED_HOSTS: comma-separated host names or addresses, for
+// receivers deliberately run on a private network
+const isAllowedHost = (host) => (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+  .split(',')
+  .map(entry => entry.trim().toLowerCase())
+  .includes(host);
+
+const blockedAddressError = (host) => {
+  const error = new Error(`Callbacks to ${host} are not allowed`);
+  error.code = BLOCKED_ADDRESS;
+  return error;
+};
+
+// An http(s) URL whose host is not a blocked address or localhost. Host
+// names are checked again, resolved, on every delivery.
+const isValidCallbackUrl = (url) => {
+  try {
+    if (!['http:', 'https:'].includes(new URL(url).protocol)) {
+      return false;
+    }
+    const host = hostOf(url);
+    return isAllowedHost(host) || (!isBlockedAddress(host) && host !== 'localhost' && !host.endsWith('.localhost'));
+  } catch (error) {
+    return false;
+  }
+};
+
+// dns.lookup for the delivery agents, refusing a host if any of its
+// addresses is blocked
+const guardedLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    if (addresses.some(({ address }) => isBlockedAddress(address))) {
+      return callback(blockedAddressError(hostname));
+    }
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const guardedAgents = {
+  httpAgent: new http.Agent({ lookup: guardedLookup }),
+  httpsAgent: new https.Agent({ lookup: guardedLookup })
+};
+
+// Agents for one delivery; null when the address is blocked outright.
+// Address literals are never looked up, so they are checked here.
+const agentsFor = (url) => {
+  const host = hostOf(url);
+  if (isAllowedHost(host)) {
+    return {};
+  }
+  if (isBlockedAddress(host)) {
+    return null;
+  }
+  return guardedAgents;
+};
+
+// What an attempt record says about a failed request. Raw error messages
+// can carry internal host names and addresses, so only the kind of
+// failure is kept.
+const describeRequestError = (error) => {
+  if (error.code === BLOCKED_ADDRESS || error.cause?.code === BLOCKED_ADDRESS) {
+    return 'Callback address is not allowed (private or reserved network)';
+  }
+  switch (error.code) {
+    case 'ECONNABORTED':
+    case 'ETIMEDOUT':
+      return 'Receiver timed out';
+    case 'ENOTFOUND':
+    case 'EAI_AGAIN':
+      return 'Receiver host could not be resolved';
+    case 'ECONNREFUSED':
+      return 'Receiver refused the connection';
+    case 'ECONNRESET':
+    case 'EPIPE':
+      return 'Connection to the receiver was reset';
+    default:
+      return /CERT|TLS|SSL/.test(error.code || '') ? 'TLS handshake with the receiver failed' : 'Request to the receiver failed';
+  }
+};
+
+const signPayload = (body, timestamp, secret = process.env.WEBHOOK_SECRET) => (
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')
+);
+
+const isRetryableStatus = (status) => status === 408 || status === 429 || status >= 500;
+
+// 2s, 4s, 8s, ... capped at 5 minutes; a Retry-After header takes precedence
+const retryDelay = (attempt, retryAfterSeconds) => {
+  if (Number.isFinite(retryAfterSeconds)) {
+    return Math.min(WEBHOOK_MAX_DELAY_MS, retryAfterSeconds * 1000);
+  }
+  return Math.min(WEBHOOK_MAX_DELAY_MS, WEBHOOK_BASE_DELAY_MS * 2 ** (attempt - 1));
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// POST payload to url until it is accepted or attempts run out. onAttempt is
+// awaited after every attempt with the attempt record and the delivery
+// status it leads to ('retrying', 'delivered' or 'failed').
+// firstAttempt lets a delivery interrupted by a restart carry on counting.
+const deliver = async (url, payload, { onAttempt = async () => {}, firstAttempt = 1, sleep = wait } = {}) => {
+  const body = JSON.stringify(payload);
+
+  for (let attempt = firstAttempt; attempt <= WEBHOOK_MAX_ATTEMPTS; attempt++) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+    const record = { attempt, sent_at: new Date(startedAt).toISOString(), status_code: null, duration_ms: null, error: null };
+    let retryable = true;
+    let retryAfter;
+
+    try {
+      const agents = agentsFor(url);
+      if (!agents) {
+        throw blockedAddressError(hostOf(url));
+      }
+      const response = await axios.post(url, body, {
+        ...agents,
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'YouTube-Analysis-Service/1.0',
+          [TIMESTAMP_HEADER]: String(timestamp),
+          [SIGNATURE_HEADER]: `sha256=${signPayload(body, timestamp)}`
+        },
+        timeout: WEBHOOK_TIMEOUT_MS,
+        maxRedirects: 0,
+        validateStatus: () => true
+      });
+      record.status_code = response.status;
+      if (response.status < 200 || response.status >= 300) {
+        record.error = `Receiver answered HTTP ${response.status}`;
+        retryable = isRetryableStatus(response.status);
+        retryAfter = parseInt(response.headers?.['retry-after'], 10);
+      }
+    } catch (error) {
+      record.error = describeRequestError(error);
+      // The address will not change between attempts
+      retryable = !(error.code === BLOCKED_ADDRESS || error.cause?.code === BLOCKED_ADDRESS);
+    }
+    record.duration_ms = Date.now() - startedAt;
+
+    if (!record.error) {
+      await onAttempt(record, 'delivered');
+      return true;
+    }
+    if (!retryable || attempt === WEBHOOK_MAX_ATTEMPTS) {
+      await onAttempt(record, 'failed');
+      return false;
+    }
+    await onAttempt(record, 'retrying');
+    await sleep(retryDelay(attempt, retryAfter));
+  }
+
+  return false;
+};
+
+module.exports = {
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  WEBHOOK_MAX_ATTEMPTS,
+  isConfigured,
+  isValidCallbackUrl,
+  isBlockedAddress,
+  signPayload,
+  retryDelay,
+  deliver
+};
@@ -2,11 +2,35 @@ const express = require('express');
 const puppeteer = require('puppeteer');
 const ytdl = require('ytdl-core');
 const ffmpeg = require('fluent-ffmpeg');
-const axios = require('axios');
 const fs = require('fs').promises;
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const rateLimit = require('express-rate-limit');
+const multer = require('multer');
+const jobRegistry = require('./job_registry');
+const jobQueue = require('./job_queue');
+const transcriptionProviders = require('./transcription_providers');
+const aiDetectors = require('./ai_detectors');
+const batchJobs = require('./batch_jobs');
+const transcriptExport = require('./transcript_export');
+const webhooks = require('./webhooks');
+const jobEvents = require('./job_events');
+const resultCache = require('./result_cache');
+const speakerAnalytics = require('./speaker_analytics');
+const aiSummary = require('./ai_summary');
+const frameCapture = require('./frame_capture');
+const mediaMetadata = require('./media_metadata');
+const languageId = require('./language_id');
+const apiKeys = require('./api_keys');
+const usageTracker = require('./usage_tracker');
+const storagePaths = require('./storage_paths');
+const retention = require('./retention');
+const storageBackends = require('./storage_backends');
+const httpClient = require('./http_client');
+const detectionWindows = require('./detection_windows');
+const audioPreprocessing = require('./audio_preprocessing');
+const transcriptQuality = require('./transcript_quality');
+const detectionHistory = require('./detection_history');
 
 const app = express();
 const PORT = process.env.PORT || 8080;
@@ -16,17 +40,20 @@ app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(express.static('public'));
 
-// Rate limiting
+// API keys (when API_KEYS_FILE is set); the home page and /health stay open
+app.use(['/analyze', '/result', '/status', '/jobs', '/usage', '/storage', '/screenshots', '/audio', '/frames', '/test-gptzero'], apiKeys.authenticate);
+
+// Rate limiting, per API key when keys are configured and per IP otherwise
 const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 10 // limit each IP to 10 requests per windowMs
+  windowMs: apiKeys.RATE_LIMIT_WINDOW_MS,
+  max: (req) => req.client?.rate_limit || apiKeys.RATE_LIMIT_MAX_REQUESTS,
+  keyGenerator: (req) => (req.client ? `key:${req.client.name}` : req.ip)
 });
 app.use('/analyze', limiter);
 
 // Ensure directories exist
 const ensureDirectories = async () => {
-  const dirs = ['./uploads', './results', './screenshots', './audio'];
-  for (const dir of dirs) {
+  for (const dir of Object.values(storagePaths.STORAGE_DIRS)) {
     try {
       await fs.mkdir(dir, { recursive: true });
     } catch (error) {
@@ -35,6 +62,27 @@ const ensureDirectories = async () => {
   }
 };
 
+// Media uploads for POST /analyze/upload
+const UPLOAD_EXTENSIONS = ['.mp4', '.mp3', '.wav', '.m4a'];
+const MAX_FILE_SIZE_MB = parseInt(process.env.MAX_FILE_SIZE_MB, 10) || 100;
+
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: storagePaths.STORAGE_DIRS.uploads,
+    filename: (req, file, cb) => cb(null, `${uuidv4()}${path.extname(file.originalname).toLowerCase()}`)
+  }),
+  limits: { fileSize: MAX_FILE_SIZE_MB * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    if (!UPLOAD_EXTENSIONS.includes(extension)) {
+      const error = new Error(`Unsupported file type "${extension || file.originalname}" (expected one of: ${UPLOAD_EXTENSIONS.join(', ')})`);
+      error.code = 'UNSUPPORTED_FILE_TYPE';
+      return cb(error);
+    }
+    cb(null, true);
+  }
+});
+
 // YouTube URL validation
 const validateYouTubeUrl = (url) => {
   const patterns = [
@@ -46,9 +94,12 @@ const validateYouTubeUrl = (url) => {
 };
 
 // Screenshot with Puppeteer
-const takeScreenshot = async (url, screenshotPath) => {
+const takeScreenshot = async (url, screenshotPath, { signal } = {}) => {
   let browser;
+  const closeOnAbort = () => browser?.close().catch(() => {});
+  signal?.addEventListener('abort', closeOnAbort, { once: true });
   try {
+    jobQueue.throwIfCancelled(signal);
     browser = await puppeteer.launch({
       headless: true,
       args: [
@@ -61,6 +112,7 @@ const takeScreenshot = async (url, screenshotPath) => {
         '--disable-gpu'
       ]
     });
+    jobQueue.throwIfCancelled(signal);
 
     const page = await browser.newPage();
     await page.setViewport({ width: 1280, height: 720 });
@@ -71,188 +123,169 @@ const takeScreenshot = async (url, screenshotPath) => {
     
     await page.screenshot({ 
       path: screenshotPath, 
-      fullPage: false,
-      quality: 90
+      fullPage: false
     });
 
     console.log(`Screenshot saved: ${screenshotPath}`);
     return true;
   } catch (error) {
+    jobQueue.throwIfCancelled(signal);
     console.error('Screenshot error:', error);
     throw new Error(`Failed to take screenshot: ${error.message}`);
   } finally {
-    if (browser) {
+    signal?.removeEventListener('abort', closeOnAbort);
+    if (browser && browser.isConnected()) {
       await browser.close();
     }
   }
 };
 
-// Download and convert audio
-const downloadAndConvertAudio = async (url, outputPath) => {
+// Normalise any audio/video input (file path or stream) to loudness-
+// normalised 16 kHz mono 16-bit WAV
+const convertToWav = (input, outputPath, { signal } = {}) => {
   return new Promise((resolve, reject) => {
-    try {
-      const stream = ytdl(url, { 
-        quality: 'highestaudio',
-        filter: 'audioonly'
+    jobQueue.throwIfCancelled(signal);
+
+    const command = ffmpeg(input)
+      .noVideo()
+      .audioFilters(audioPreprocessing.normalizationFilters())
+      .audioFrequency(16000)
+      .audioChannels(1)
+      .audioCodec('pcm_s16le')
+      .format('wav')
+      .on('error', (err) => {
+        signal?.removeEventListener('abort', abort);
+        if (signal?.aborted) {
+          return reject(jobQueue.createCancelledError());
+        }
+        console.error('FFmpeg error:', err);
+        reject(new Error(`Audio conversion failed: ${err.message}`));
+      })
+      .on('end', () => {
+        signal?.removeEventListener('abort', abort);
+        console.log(`Audio converted: ${outputPath}`);
+        resolve();
       });
 
-      ffmpeg(stream)
-        .audioFrequency(16000)
-        .audioChannels(1)
-        .audioBitrate(16)
-        .format('wav')
-        .on('error', (err) => {
-          console.error('FFmpeg error:', err);
-          reject(new Error(`Audio conversion failed: ${err.message}`));
-        })
-        .on('end', () => {
-          console.log(`Audio converted: ${outputPath}`);
-          resolve();
-        })
-        .save(outputPath);
-    } catch (error) {
-      reject(new Error(`Audio download failed: ${error.message}`));
-    }
+    // Stop the input stream (if any) and the ffmpeg child process
+    const abort = () => {
+      if (typeof input.destroy === 'function') {
+        input.destroy();
+      }
+      command.kill('SIGKILL');
+    };
+    signal?.addEventListener('abort', abort, { once: true });
+
+    command.save(outputPath);
   });
 };
 
-// ElevenLabs Scribe transcription
-const transcribeAudio = async (audioPath) => {
+// Download and convert audio. Passing the ytdl.getInfo result saves a
+// second lookup of the same video.
+const downloadAndConvertAudio = async (url, outputPath, { signal, info } = {}) => {
   try {
-    console.log('🎙️ Starting ElevenLabs transcription...');
-    const audioBuffer = await fs.readFile(audioPath);
-    
-    const FormData = require('form-data');
-    const formData = new FormData();
-    formData.append('audio', audioBuffer, 'audio.wav');
-    formData.append('model', 'eleven_multilingual_v2');
-    formData.append('language', 'en');
-    formData.append('timestamp_granularities[]', 'word');
-    formData.append('timestamp_granularities[]', 'segment');
-
-    const response = await axios.post(
-      'https://api.elevenlabs.io/v1/speech-to-text',
-      formData,
-      {
-        headers: {
-          'xi-api-key': process.env.ELEVENLABS_API_KEY,
-          ...formData.getHeaders()
-        }
-      }
-    );
+    jobQueue.throwIfCancelled(signal);
 
-    console.log('✅ ElevenLabs transcription completed!');
-    return response.data;
+    const options = { 
+      quality: 'highestaudio',
+      filter: 'audioonly'
+    };
+    const stream = info ? ytdl.downloadFromInfo(info, options) : ytdl(url, options);
+
+    await convertToWav(stream, outputPath, { signal });
   } catch (error) {
-    console.error('ElevenLabs transcription error:', error.response?.data || error.message);
-    throw new Error(`Transcription failed: ${error.message}`);
+    if (jobQueue.isCancelledError(error) || error.message.startsWith('Audio conversion failed')) {
+      throw error;
+    }
+    throw new Error(`Audio download failed: ${error.message}`);
   }
 };
 
-// GPTZero Free API (no key required)
-const detectAIWithGPTZeroFree = async (text) => {
-  try {
-    console.log('🆓 Using GPTZero free API...');
-    
-    const response = await axios.post(
-      'https://api.gptzero.me/v2/predict/text',
-      {
-        document: text,
-        language: 'en'
-      },
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          'User-Agent': 'YouTube-Analysis-Service/1.0'
-        },
-        timeout: 30000
-      }
-    );
+// Grab one frame from an uploaded video in place of the Puppeteer screenshot.
+// Audio-only uploads have no frame; returns false for those.
+const extractFrame = async (videoPath, screenshotPath, { signal } = {}) => {
+  jobQueue.throwIfCancelled(signal);
 
-    const result = response.data;
-    console.log('✅ GPTZero free API response received!');
-    
-    return {
-      ai_probability: result.documents?.[0]?.average_generated_prob || 0,
-      classification: result.documents?.[0]?.completely_generated_prob > 0.5 ? 'ai' : 'human',
-      confidence: result.documents?.[0]?.confidence || 0.8,
-      method: 'gptzero-free',
-      raw_scores: {
-        avg_generated_prob: result.documents?.[0]?.average_generated_prob,
-        completely_generated_prob: result.documents?.[0]?.completely_generated_prob,
-        overall_burstiness: result.documents?.[0]?.overall_burstiness,
-        perplexity: result.documents?.[0]?.perplexity
-      }
-    };
-  } catch (error) {
-    if (error.response?.status === 429) {
-      console.log('⚠️ GPTZero free API rate limit reached, falling back...');
-      return await detectAIWithPatterns(text);
-    }
-    
-    console.error('GPTZero free API error:', error.response?.data || error.message);
-    console.log('🔄 Falling back to pattern-based detection...');
-    return await detectAIWithPatterns(text);
+  const metadata = await mediaMetadata.probeMedia(videoPath);
+  const videoStream = metadata.streams.find(stream => stream.codec_type === 'video');
+  if (!videoStream) {
+    console.log('🎵 Upload has no video stream, skipping frame capture');
+    return false;
   }
+
+  await new Promise((resolve, reject) => {
+    const command = ffmpeg(videoPath)
+      .on('error', (err) => {
+        signal?.removeEventListener('abort', abort);
+        reject(signal?.aborted ? jobQueue.createCancelledError() : new Error(`Frame extraction failed: ${err.message}`));
+      })
+      .on('end', () => {
+        signal?.removeEventListener('abort', abort);
+        resolve();
+      });
+
+    const abort = () => command.kill('SIGKILL');
+    signal?.addEventListener('abort', abort, { once: true });
+
+    command.screenshots({
+      timestamps: ['10%'],
+      filename: path.basename(screenshotPath),
+      folder: path.dirname(screenshotPath),
+      size: '1280x?'
+    });
+  });
+
+  console.log(`Frame saved: ${screenshotPath}`);
+  return true;
 };
 
-// Pattern-based AI detection (fallback)
-const detectAIWithPatterns = async (text) => {
-  console.log('🔍 Using pattern-based AI detection...');
-  
-  const aiIndicators = [
-    /as an ai/gi,
-    /i am an artificial intelligence/gi,
-    /i don't have personal/gi,
-    /i cannot feel/gi,
-    /furthermore/gi,
-    /in conclusion/gi,
-    /it's worth noting/gi,
-    /additionally/gi,
-    /moreover/gi,
-    /consequently/gi
-  ];
-  
-  let aiScore = 0;
-  
-  // Check for AI indicators
-  aiIndicators.forEach(pattern => {
-    if (pattern.test(text)) {
-      aiScore += 0.2;
+// Frames from the video itself at a fixed interval and on scene changes,
+// plus a contact sheet. Audio-only uploads have no frames.
+const captureVideoFrames = async (jobId, source, { signal, info } = {}) => {
+  jobQueue.throwIfCancelled(signal);
+
+  let input;
+  if (source.type === 'upload') {
+    const metadata = await mediaMetadata.probeMedia(source.upload_path);
+    if (!metadata.streams.some(stream => stream.codec_type === 'video')) {
+      console.log('🎵 Upload has no video stream, skipping frame capture');
+      return { frames: [], contactSheet: null };
     }
-  });
-  
-  // Check sentence structure
-  const sentences = text.split(/[.!?]+/).filter(s => s.trim().length > 0);
-  const avgSentenceLength = sentences.reduce((sum, s) => sum + s.length, 0) / sentences.length;
-  
-  if (avgSentenceLength > 80) {
-    aiScore += 0.1; // Very long sentences
+    input = source.upload_path;
+  } else {
+    const options = {
+      quality: 'highestvideo',
+      filter: format => format.hasVideo && !format.hasAudio && (format.height || 0) <= frameCapture.SOURCE_MAX_HEIGHT
+    };
+    input = info ? ytdl.downloadFromInfo(info, options) : ytdl(source.youtube_url, options);
   }
-  
-  // Check for repetitive patterns
-  const words = text.toLowerCase().split(/\s+/);
-  const uniqueWords = new Set(words);
-  const repetitionRatio = words.length / uniqueWords.size;
-  
-  if (repetitionRatio > 2) {
-    aiScore += 0.1; // High repetition
+
+  const outputDir = frameCapture.frameDir(jobId);
+  await fs.mkdir(outputDir, { recursive: true });
+  const frames = await frameCapture.captureFrames(input, outputDir, { signal });
+  const contactSheet = frames.length > 0
+    ? await frameCapture.buildContactSheet(outputDir, frames.length, { signal })
+    : null;
+
+  console.log(`🎞️ Captured ${frames.length} frames (${frames.filter(f => f.kind === 'scene_change').length} on scene changes)`);
+  return { frames, contactSheet };
+};
+
+// Transcription through the configured speech-to-text provider; without a
+// language the provider detects it
+const transcribeAudio = async (audioPath, { signal, provider, language } = {}) => {
+  try {
+    return await transcriptionProviders.transcribe(audioPath, { provider, language: language || undefined, signal });
+  } catch (error) {
+    jobQueue.throwIfCancelled(signal);
+    console.error('Transcription error:', error.response?.data || error.message);
+    throw new Error(`Transcription failed: ${error.message}`);
   }
-  
-  // Normalize score
-  const aiProbability = Math.min(aiScore, 1);
-  
-  return {
-    ai_probability: aiProbability,
-    classification: aiProbability > 0.5 ? 'ai' : 'human',
-    confidence: 0.6,
-    method: 'pattern-based',
-    indicators_found: aiIndicators.filter(pattern => pattern.test(text)).length
-  };
 };
 
-// Main AI detection function with fallbacks
-const detectAI = async (text) => {
+// Main AI detection function: scores the text with the detector ensemble,
+// routed by the text's language
+const detectAI = async (text, { ensemble, signal, language } = {}) => {
   // Skip very short text
   if (text.length < 10) {
     return {
@@ -263,41 +296,58 @@ const detectAI = async (text) => {
     };
   }
   
-  // Try GPTZero free API first
-  try {
-    return await detectAIWithGPTZeroFree(text);
-  } catch (error) {
-    console.log('🔄 All AI detection methods failed, using fallback...');
-    return await detectAIWithPatterns(text);
-  }
+  return aiDetectors.runEnsemble(text, { ensemble, signal, language });
 };
 
-// Process transcript with AI detection
-const processTranscript = async (transcript) => {
+// Process transcript with AI detection. Detectors score windows rebuilt
+// from the word timestamps (detection_windows.js); their scores are mapped
+// back onto the segments and words.
+// onSegment is called with each scored segment as soon as every window it
+// falls in is scored; onProgress counts windows.
+const processTranscript = async (transcript, { onProgress, onSegment, signal, detectors } = {}) => {
   if (!transcript.segments) {
     return transcript;
   }
 
-  console.log(`🤖 Processing ${transcript.segments.length} segments for AI detection...`);
-  const processedSegments = [];
+  const ensemble = aiDetectors.parseEnsemble(detectors || undefined);
+  const usesRemoteDetector = ensemble.some(({ name }) => aiDetectors.DETECTORS[name].cost > 0);
+
+  const { segments } = transcript;
+  const windows = detectionWindows.buildWindows(segments);
+  const coverage = detectionWindows.mapSegmentsToWindows(segments, windows);
+  const lastWindow = coverage.map(parts => Math.max(-1, ...parts.map(({ id }) => id)));
+
+  console.log(`🤖 Processing ${windows.length} detection windows (${segments.length} segments) for AI detection...`);
+  const scoredWindows = [];
+  let published = 0;
   
-  for (let i = 0; i < transcript.segments.length; i++) {
-    const segment = transcript.segments[i];
-    console.log(`Processing segment ${i + 1}/${transcript.segments.length}: "${segment.text.substring(0, 50)}..."`);
+  if (onProgress) {
+    await onProgress(0, windows.length);
+  }
+
+  for (let i = 0; i < windows.length; i++) {
+    jobQueue.throwIfCancelled(signal);
+    const window = windows[i];
+    console.log(`Processing window ${i + 1}/${windows.length} (${window.token_count} words): "${window.text.substring(0, 50)}..."`);
     
     try {
-      const aiDetection = await detectAI(segment.text);
-      processedSegments.push({
-        ...segment,
+      // A speaker's turn too short to judge on its own is not scored
+      const aiDetection = window.too_short
+        ? { ai_probability: 0, classification: 'insufficient_text', confidence: 0, method: 'skipped' }
+        : await detectAI(window.text, { ensemble, signal, language: window.language });
+      scoredWindows.push({
+        ...window,
         ai_detection: aiDetection
       });
       
       // Add delay to respect API rate limits
-      await new Promise(resolve => setTimeout(resolve, 200));
+      if (usesRemoteDetector && !window.too_short) {
+        await new Promise(resolve => setTimeout(resolve, 200));
+      }
     } catch (error) {
-      console.error(`Error processing segment ${i + 1}:`, error);
-      processedSegments.push({
-        ...segment,
+      console.error(`Error processing window ${i + 1}:`, error);
+      scoredWindows.push({
+        ...window,
         ai_detection: {
           ai_probability: 0,
           classification: 'error',
@@ -306,12 +356,29 @@ const processTranscript = async (transcript) => {
         }
       });
     }
+
+    if (onSegment) {
+      for (; published < segments.length && lastWindow[published] <= i; published++) {
+        onSegment(detectionWindows.applyScores(segments[published], published, coverage[published], scoredWindows), published, segments.length);
+      }
+    }
+    if (onProgress) {
+      await onProgress(i + 1, windows.length);
+    }
+  }
+
+  const processedSegments = segments.map((segment, index) => detectionWindows.applyScores(segment, index, coverage[index], scoredWindows));
+  if (onSegment) {
+    for (; published < segments.length; published++) {
+      onSegment(processedSegments[published], published, segments.length);
+    }
   }
 
   console.log('✅ AI detection completed for all segments!');
   return {
     ...transcript,
-    segments: processedSegments
+    segments: processedSegments,
+    detection_windows: scoredWindows.map(detectionWindows.describeScoredWindow)
   };
 };
 
@@ -322,7 +389,7 @@ const testGPTZeroAccess = async () => {
   console.log('🧪 Testing GPTZero free API access...');
   
   try {
-    const result = await detectAIWithGPTZeroFree(testText);
+    const result = await aiDetectors.DETECTORS.gptzero.detect(testText);
     console.log('✅ GPTZero free API is working!');
     console.log('Test result:', result);
     return true;
@@ -332,80 +399,651 @@ const testGPTZeroAccess = async () => {
   }
 };
 
-// Main analysis function
-const analyzeVideo = async (youtubeUrl) => {
-  const jobId = uuidv4();
+// Run one pipeline stage, recording its start and end in the job registry
+const runStage = async (jobId, stageName, work) => {
+  await jobRegistry.startStage(jobId, stageName);
+  const result = await work();
+  await jobRegistry.completeStage(jobId, stageName);
+  return result;
+};
+
+// What cached transcripts and detections are keyed on besides the video ID
+const resolveCacheConfig = async (transcriptionProvider, detectors, language) => {
+  const provider = await transcriptionProviders.resolveProvider(transcriptionProvider);
+  return {
+    provider: provider.name,
+    model: provider.model,
+    language,
+    detectors: describeDetectors(detectors),
+    segmentation: detectionWindows.describeSegmentation()
+  };
+};
+
+// Fields identifying what a result was produced from
+const describeSource = (source) => (source.type === 'upload'
+  ? { source: 'upload', source_file: source.original_name }
+  : { source: 'youtube', youtube_url: source.youtube_url });
+
+// The detector set a run used, as name:weight pairs
+const describeDetectors = (detectors) => resultCache.describeEnsemble(aiDetectors.parseEnsemble(detectors || undefined));
+
+// Which provider produced each part of a result: metadata, screenshot and
+// audio by source, the transcript by speech-to-text provider, and per
+// detector how many detection windows it scored, failed or skipped
+const describeProvenance = ({ isUpload, hasScreenshot, cacheHits, transcript, windows, detectors }) => ({
+  metadata: isUpload ? 'ffprobe' : 'youtube',
+  screenshot: hasScreenshot ? (isUpload ? 'ffmpeg' : 'puppeteer') : null,
+  audio: isUpload ? 'upload' : (cacheHits.audio ? 'cache' : 'youtube'),
+  transcript: { provider: transcript.provider, model: transcript.model, cached: cacheHits.transcript },
+  ai_detection: { cached: cacheHits.ai_detection, ensemble: describeDetectors(detectors), detectors: aiDetectors.summarizeDetectorOutcomes(windows) }
+});
+
+// Live 'segment' events for a job's scored segments
+const segmentPublisher = (jobId) => (segment, index, total) => jobEvents.publish(jobId, 'segment', {
+  index,
+  total,
+  id: segment.id,
+  start: segment.start,
+  end: segment.end,
+  speaker: segment.speaker,
+  text: segment.text,
+  ai_detection: segment.ai_detection
+});
+
+// Transcript quality and speaker statistics of a scored transcript, and the
+// processing_summary built on them; used by the pipeline and re-detection
+const summarizeTranscript = (processedTranscript, { audioDuration } = {}) => {
+  // Segments too unreliable to trust their AI score are flagged and left
+  // out of the verdict
+  const quality = transcriptQuality.assessTranscript(processedTranscript, { audioDuration });
+  
+  // Per-speaker talk time, turn-taking and AI scores. Labels a chunked
+  // transcript could not match across its cuts are only chunk-local
+  const transcript = {
+    ...quality.transcript,
+    quality: quality.report,
+    speakers: speakerAnalytics.computeSpeakerStats(quality.transcript.segments || [], {
+      chunkLocal: processedTranscript.speakers_reconciled === false
+    })
+  };
+  
+  const segments = processedTranscript.segments;
+  return {
+    transcript,
+    summary: {
+      total_segments: segments?.length || 0,
+      detection_windows: processedTranscript.detection_windows?.length || 0,
+      ai_segments: segments?.filter(s => s.ai_detection?.classification === 'ai').length || 0,
+      human_segments: segments?.filter(s => s.ai_detection?.classification === 'human').length || 0,
+      average_ai_probability: segments?.reduce((sum, s) => sum + (s.ai_detection?.ai_probability || 0), 0) / (segments?.length || 1),
+      speaker_count: transcript.speakers.length,
+      ...aiSummary.summarizeDetections(transcript.segments || []),
+      transcript_quality: transcriptQuality.summarizeQuality(quality.report)
+    }
+  };
+};
+
+// Charge usage to the API key that submitted the job, once per kind
+// ('jobs', 'transcription', 'ai_detection'). The flags are persisted with
+// the job, so one recovered after a restart is not charged again for work
+// it repeats.
+const chargeUsage = async (jobId, kind, usage) => {
+  const job = jobRegistry.getJob(jobId);
+  if (job.usage_recorded?.[kind]) {
+    return;
+  }
+  await usageTracker.recordUsage(job.owner, usage);
+  await jobRegistry.markUsageRecorded(jobId, kind);
+};
+
+// Main analysis pipeline. source is { type: 'youtube', youtube_url } or
+// { type: 'upload', upload_path, original_name }.
+const runAnalysis = async (jobId, source, { signal, transcriptionProvider, detectors, language = null, forceRefresh = false } = {}) => {
   const timestamp = new Date().toISOString();
+  const isUpload = source.type === 'upload';
   
-  const screenshotPath = `./screenshots/${jobId}.png`;
-  const audioPath = `./audio/${jobId}.wav`;
-  const resultPath = `./results/${jobId}.json`;
+  // Only YouTube videos have an ID to cache by; force_refresh skips reading
+  // the cache but still refreshes it
+  const videoId = isUpload ? null : resultCache.extractVideoId(source.youtube_url);
+  const useCache = Boolean(videoId) && !forceRefresh;
+  const cacheHits = { audio: false, transcript: false, ai_detection: false };
+
+  if (!jobRegistry.getJob(jobId)) {
+    const { type, ...input } = source;
+    await jobRegistry.createJob({ jobId, type, input });
+  }
+  const { owner } = jobRegistry.getJob(jobId);
+  const client = apiKeys.getClient(owner);
+  await jobRegistry.startJob(jobId);
+  await chargeUsage(jobId, 'jobs', { jobs: 1 });
+  // The video's duration, held against the daily audio quota until it is
+  // transcribed (and charged) or the job ends
+  let quotaReservation = null;
+  
+  const screenshotPath = storagePaths.screenshotFile(jobId);
+  const audioPath = storagePaths.audioFile(jobId);
   
   try {
     console.log(`🚀 Starting analysis for job ${jobId}`);
-    console.log(`📺 YouTube URL: ${youtubeUrl}`);
+    console.log(isUpload ? `📁 Uploaded file: ${source.original_name}` : `📺 YouTube URL: ${source.youtube_url}`);
     
-    // Step 1: Take screenshot
+    // Step 1: Video metadata; over-long videos stop here, before any download
+    console.log('ℹ️ Reading video metadata...');
+    let videoInfo = null;
+    const videoMetadata = await runStage(jobId, 'metadata', async () => {
+      let described;
+      if (isUpload) {
+        described = await mediaMetadata.describeUpload(source.upload_path, source.original_name);
+        mediaMetadata.checkDuration(described.video_duration);
+      } else {
+        videoInfo = await mediaMetadata.fetchVideoInfo(source.youtube_url);
+        jobQueue.throwIfCancelled(signal);
+        described = mediaMetadata.describeVideoInfo(videoInfo);
+        mediaMetadata.checkDuration(described.video_duration, { isLive: described.is_live });
+      }
+      quotaReservation = await usageTracker.reserveAudio(client, jobId, described.video_duration);
+      return described;
+    });
+    console.log(`🎬 ${videoMetadata.video_title} (${mediaMetadata.formatDuration(videoMetadata.video_duration)})`);
+    
+    // Step 2: Take screenshot (or a frame from the uploaded video)
     console.log('📸 Taking screenshot...');
-    await takeScreenshot(youtubeUrl, screenshotPath);
+    const hasScreenshot = await runStage(jobId, 'screenshot', () => (isUpload
+      ? extractFrame(source.upload_path, screenshotPath, { signal })
+      : takeScreenshot(source.youtube_url, screenshotPath, { signal })));
     
-    // Step 2: Download and convert audio
+    // Step 3: Download (or read the upload) and convert audio
     console.log('🎵 Downloading and converting audio...');
-    await downloadAndConvertAudio(youtubeUrl, audioPath);
+    await runStage(jobId, 'audio_download', async () => {
+      if (isUpload) {
+        return convertToWav(source.upload_path, audioPath, { signal });
+      }
+      if (useCache && await resultCache.restoreAudio(videoId, audioPath)) {
+        cacheHits.audio = true;
+        console.log(`♻️ Reusing cached audio for video ${videoId}`);
+        return;
+      }
+      await downloadAndConvertAudio(source.youtube_url, audioPath, { signal, info: videoInfo });
+      if (videoId) {
+        await resultCache.storeAudio(videoId, audioPath);
+      }
+    });
     
-    // Step 3: Transcribe audio
-    console.log('🎙️ Transcribing audio with ElevenLabs...');
-    const transcript = await transcribeAudio(audioPath);
+    // Step 4: Frames at a fixed interval and on scene changes
+    console.log('🎞️ Capturing frames...');
+    const capturedFrames = await runStage(jobId, 'frames', () => captureVideoFrames(jobId, source, { signal, info: videoInfo }));
     
-    // Step 4: Process transcript with AI detection
+    // Step 5: Transcribe audio
+    console.log('🎙️ Transcribing audio...');
+    let cacheConfig = null;
+    const rawTranscript = await runStage(jobId, 'transcription', async () => {
+      if (!videoId) {
+        return transcribeAudio(audioPath, { signal, provider: transcriptionProvider, language });
+      }
+      try {
+        cacheConfig = await resolveCacheConfig(transcriptionProvider, detectors, language);
+      } catch (error) {
+        throw new Error(`Transcription failed: ${error.message}`);
+      }
+      const cached = useCache && await resultCache.getTranscript(videoId, cacheConfig);
+      if (cached) {
+        cacheHits.transcript = true;
+        console.log(`♻️ Reusing cached ${cacheConfig.provider} transcript for video ${videoId}`);
+        return cached;
+      }
+      const fresh = await transcribeAudio(audioPath, { signal, provider: cacheConfig.provider, language });
+      await resultCache.storeTranscript(videoId, cacheConfig, fresh);
+      return fresh;
+    });
+    if (!cacheHits.transcript) {
+      await chargeUsage(jobId, 'transcription', { transcriptionSeconds: videoMetadata.video_duration || rawTranscript.duration || 0 });
+    }
+    await usageTracker.releaseAudio(quotaReservation);
+    quotaReservation = null;
+    // Per-segment language tags route detection in the next step
+    const transcript = languageId.tagSegmentLanguages(rawTranscript);
+    console.log(`🌐 Languages: ${transcript.languages.map(l => `${l.language || 'unknown'} ${Math.round(l.share * 100)}%`).join(', ') || 'none'}`);
+    jobEvents.publish(jobId, 'transcript', {
+      language: transcript.language,
+      duration: transcript.duration,
+      languages: transcript.languages,
+      segments: (transcript.segments || []).map(({ id, text, start, end, speaker, language: segmentLanguage }) => ({ id, text, start, end, speaker, language: segmentLanguage }))
+    });
+    
+    // Step 6: Process transcript with AI detection
     console.log('🤖 Running AI detection on transcript...');
-    const processedTranscript = await processTranscript(transcript);
+    const publishSegment = segmentPublisher(jobId);
+    const processedTranscript = await runStage(jobId, 'ai_detection', async () => {
+      // Cached scores only line up with the transcript they were computed on
+      const cached = cacheHits.transcript && await resultCache.getDetections(videoId, cacheConfig);
+      if (cached) {
+        cacheHits.ai_detection = true;
+        console.log(`♻️ Reusing cached AI detection for video ${videoId}`);
+        cached.segments.forEach((segment, index) => publishSegment(segment, index, cached.segments.length));
+        await jobRegistry.setSegmentProgress(jobId, cached.windows.length, cached.windows.length);
+        return { ...transcript, segments: cached.segments, detection_windows: cached.windows };
+      }
+      
+      const processed = await processTranscript(transcript, {
+        onProgress: (done, total) => jobRegistry.setSegmentProgress(jobId, done, total),
+        onSegment: publishSegment,
+        signal,
+        detectors
+      });
+      if (cacheConfig && processed.detection_windows && resultCache.isCompleteDetection(processed.detection_windows)) {
+        await resultCache.storeDetections(videoId, cacheConfig, { segments: processed.segments, windows: processed.detection_windows });
+      }
+      return processed;
+    });
+    
+    if (!cacheHits.ai_detection) {
+      await chargeUsage(jobId, 'ai_detection', { detectorCalls: usageTracker.countDetectorCalls(processedTranscript.detection_windows || []) });
+    }
+    
+    // Steps 7 and 8: Transcript quality, per-speaker statistics and the summary
+    const { transcript: analysedTranscript, summary } = summarizeTranscript(processedTranscript, { audioDuration: videoMetadata.video_duration });
+    const qualitySummary = summary.transcript_quality;
     
-    // Step 5: Prepare final result
+    // Step 9: Link frames to the segment spoken over them
+    const frames = frameCapture.linkFramesToSegments(capturedFrames.frames, processedTranscript.segments || [])
+      .map(({ file, ...frame }) => ({ ...frame, path: `/frames/${jobId}/${file}` }));
+    
+    // Step 10: Prepare final result
+    const outputFiles = await mediaMetadata.describeOutputFiles({
+      audioPath,
+      screenshotPath: hasScreenshot ? screenshotPath : null,
+      contactSheetPath: capturedFrames.contactSheet ? path.join(frameCapture.frameDir(jobId), capturedFrames.contactSheet) : null
+    });
     const result = {
       job_id: jobId,
       timestamp,
-      youtube_url: youtubeUrl,
-      screenshot_path: `/screenshots/${jobId}.png`,
+      ...describeSource(source),
+      screenshot_path: hasScreenshot ? `/screenshots/${jobId}.png` : null,
       audio_path: `/audio/${jobId}.wav`,
-      transcript: processedTranscript,
-      processing_summary: {
-        total_segments: processedTranscript.segments?.length || 0,
-        ai_segments: processedTranscript.segments?.filter(s => s.ai_detection?.classification === 'ai').length || 0,
-        human_segments: processedTranscript.segments?.filter(s => s.ai_detection?.classification === 'human').length || 0,
-        average_ai_probability: processedTranscript.segments?.reduce((sum, s) => sum + (s.ai_detection?.ai_probability || 0), 0) / (processedTranscript.segments?.length || 1)
-      },
+      frames,
+      contact_sheet_path: capturedFrames.contactSheet ? `/frames/${jobId}/${capturedFrames.contactSheet}` : null,
+      transcript: analysedTranscript,
+      cache: videoId ? { video_id: videoId, force_refresh: forceRefresh, hits: cacheHits } : null,
+      processing_summary: summary,
+      processing_time: jobRegistry.getStageTimings(jobRegistry.getJob(jobId)),
+      metadata: { ...videoMetadata, ...outputFiles, frame_count: frames.length },
+      provenance: describeProvenance({ isUpload, hasScreenshot, cacheHits, transcript: rawTranscript, windows: processedTranscript.detection_windows || [], detectors }),
+      ...(owner && { owner }),
       status: 'completed'
     };
     
-    // Save result
-    await fs.writeFile(resultPath, JSON.stringify(result, null, 2));
+    // Save artefacts and result where every instance can serve them. A job
+    // cancelled after detection must not turn up completed after all
+    jobQueue.throwIfCancelled(signal);
+    await storageBackends.publishArtefacts(jobId, {
+      audioPath,
+      screenshotPath: hasScreenshot ? screenshotPath : null,
+      frameDir: frames.length > 0 ? frameCapture.frameDir(jobId) : null
+    });
+    jobQueue.throwIfCancelled(signal);
+    await storageBackends.writeResult(jobId, result);
+    jobQueue.throwIfCancelled(signal);
+    await jobRegistry.completeJob(jobId);
     
     console.log(`✅ Analysis completed successfully for job ${jobId}`);
     console.log(`📊 Summary: ${result.processing_summary.total_segments} segments processed`);
     console.log(`🤖 AI segments: ${result.processing_summary.ai_segments}`);
     console.log(`👤 Human segments: ${result.processing_summary.human_segments}`);
     console.log(`📈 Average AI probability: ${(result.processing_summary.average_ai_probability * 100).toFixed(1)}%`);
+    console.log(`⚖️ Weighted AI probability: ${(result.processing_summary.weighted_ai_probability * 100).toFixed(1)}%, verdict ${result.processing_summary.verdict.label} (threshold ${result.processing_summary.verdict.threshold})`);
+    console.log(`⏱️ Processing time: ${result.processing_time.total}s`);
+    console.log(`🚩 Flagged spans: ${result.processing_summary.flagged_spans.length} (${result.processing_summary.flagged_duration}s)`);
+    console.log(`🔎 Transcript quality: ${qualitySummary.clean ? 'clean' : 'unreliable in parts'} (${qualitySummary.unreliable_segments} unreliable segments, ${Math.round(qualitySummary.no_speech_share * 100)}% without speech)`);
+    analysedTranscript.speakers.forEach(speaker => {
+      console.log(`🗣️ ${speaker.speaker}: ${speaker.total_speaking_time}s, ${speaker.turns} turns, mean AI ${speaker.ai_probability.mean === null ? 'n/a' : `${(speaker.ai_probability.mean * 100).toFixed(1)}%`}`);
+    });
+    if (result.cache) {
+      console.log(`♻️ Cache hits: ${Object.entries(cacheHits).filter(([, hit]) => hit).map(([name]) => name).join(', ') || 'none'}`);
+    }
     
     return result;
     
   } catch (error) {
+    if (jobQueue.isCancelledError(error)) {
+      console.log(`🛑 Analysis cancelled for job ${jobId}`);
+      await jobRegistry.cancelJob(jobId);
+      throw error;
+    }
+
     console.error(`❌ Analysis failed for job ${jobId}:`, error);
     
     const errorResult = {
       job_id: jobId,
       timestamp,
-      youtube_url: youtubeUrl,
+      ...describeSource(source),
+      ...(owner && { owner }),
       status: 'failed',
       error: error.message,
       error_details: error.stack
     };
     
-    await fs.writeFile(resultPath, JSON.stringify(errorResult, null, 2));
+    await storageBackends.writeResult(jobId, errorResult);
+    await jobRegistry.failJob(jobId, error.message);
     throw error;
+  } finally {
+    await usageTracker.releaseAudio(quotaReservation);
+    await retention.removeTempFiles(jobRegistry.getJob(jobId));
   }
 };
 
+// Analyse a single YouTube video
+const analyzeVideo = (youtubeUrl, jobId = uuidv4(), options = {}) => (
+  runAnalysis(jobId, { type: 'youtube', youtube_url: youtubeUrl }, options)
+);
+
+// Parent job for a playlist, channel or list of URLs: expands it into one
+// child job per video, waits for all of them and writes the aggregate report
+const runBatch = async (jobId) => {
+  const timestamp = new Date().toISOString();
+  const { input, owner } = jobRegistry.getJob(jobId);
+  await jobRegistry.startJob(jobId);
+
+  try {
+    console.log(`🚀 Starting batch ${jobId}`);
+    let { children } = jobRegistry.getJob(jobId);
+
+    // A batch recovered after a restart already has its child jobs
+    if (children.length === 0) {
+      const videos = input.collection_url
+        ? (await batchJobs.resolveCollection(input.collection_url)).videos
+        : input.youtube_urls.map(youtube_url => ({ youtube_url, title: null }));
+
+      if (videos.length === 0) {
+        throw new Error('No videos found to analyze');
+      }
+      if (jobRegistry.isFinished(jobRegistry.getJob(jobId))) {
+        return null;
+      }
+
+      children = [];
+      for (const video of videos) {
+        const childId = uuidv4();
+        await jobRegistry.createJob({
+          jobId: childId,
+          type: 'youtube',
+          batchId: jobId,
+          owner: jobRegistry.getJob(jobId).owner,
+          input: {
+            youtube_url: video.youtube_url,
+            title: video.title,
+            transcription_provider: input.transcription_provider,
+            detectors: input.detectors,
+            language: input.language || null,
+            force_refresh: input.force_refresh
+          }
+        });
+        children.push(childId);
+      }
+      await jobRegistry.setChildren(jobId, children);
+      children.forEach(childId => enqueueAnalysis(jobRegistry.getJob(childId)));
+      console.log(`📋 Batch ${jobId} queued ${children.length} videos`);
+    }
+
+    await jobRegistry.waitForJobs(children);
+    if (jobRegistry.getJob(jobId).status === 'cancelled') {
+      console.log(`🛑 Batch ${jobId} cancelled`);
+      return null;
+    }
+
+    const videos = await Promise.all(children.map(async (childId) => {
+      const child = jobRegistry.getJob(childId);
+      const childResult = await storageBackends.readResult(childId).catch(() => null);
+      return batchJobs.summarizeVideo({
+        jobId: childId,
+        youtubeUrl: child?.input.youtube_url,
+        title: child?.input.title,
+        job: child,
+        result: childResult
+      });
+    }));
+
+    const result = {
+      job_id: jobId,
+      timestamp,
+      source: 'batch',
+      collection_url: input.collection_url || null,
+      collection_type: input.collection_type,
+      videos,
+      batch_summary: batchJobs.summarizeBatch(videos),
+      ...(owner && { owner }),
+      status: 'completed'
+    };
+
+    await storageBackends.writeResult(jobId, result);
+    await jobRegistry.completeJob(jobId);
+
+    console.log(`✅ Batch ${jobId} completed`);
+    console.log(`📊 Summary: ${result.batch_summary.completed_videos}/${result.batch_summary.total_videos} videos analyzed`);
+    console.log(`🤖 Mostly AI videos: ${result.batch_summary.mostly_ai_videos}`);
+    console.log(`📈 Average AI probability: ${(result.batch_summary.average_ai_probability * 100).toFixed(1)}%`);
+
+    return result;
+
+  } catch (error) {
+    console.error(`❌ Batch ${jobId} failed:`, error);
+
+    const errorResult = {
+      job_id: jobId,
+      timestamp,
+      source: 'batch',
+      collection_url: input.collection_url || null,
+      ...(owner && { owner }),
+      status: 'failed',
+      error: error.message,
+      error_details: error.stack
+    };
+
+    await storageBackends.writeResult(jobId, errorResult);
+    await jobRegistry.failJob(jobId, error.message);
+    throw error;
+  }
+};
+
+// The queued or running re-detection job of a result, or null
+const activeRedetection = (resultId) => jobRegistry.listJobs()
+  .find(job => job.type === 'redetect' && job.input.result_id === resultId && !jobRegistry.isFinished(job)) || null;
+
+// Score a stored result's transcript again, with the job's detector set,
+// without downloading or transcribing anything. The result is updated in
+// place and the run added to its detection_history; the job's own result
+// points at it and compares the verdict with the previous run.
+const runRedetection = async (jobId, { signal, detectors } = {}) => {
+  const timestamp = new Date().toISOString();
+  const { input, owner } = jobRegistry.getJob(jobId);
+  const resultId = input.result_id;
+  await jobRegistry.startJob(jobId);
+
+  try {
+    console.log(`🔁 Re-running AI detection on result ${resultId} (job ${jobId})`);
+    const stored = await storageBackends.readResult(resultId);
+    if (!stored || stored.status !== 'completed' || !stored.transcript) {
+      throw new Error(`Result ${resultId} has no transcript to score`);
+    }
+
+    const processedTranscript = await runStage(jobId, 'ai_detection', () => processTranscript(detectionHistory.clearDetections(stored.transcript), {
+      onProgress: (done, total) => jobRegistry.setSegmentProgress(jobId, done, total),
+      onSegment: segmentPublisher(jobId),
+      signal,
+      detectors
+    }));
+    await chargeUsage(jobId, 'ai_detection', { detectorCalls: usageTracker.countDetectorCalls(processedTranscript.detection_windows || []) });
+
+    const { transcript, summary } = summarizeTranscript(processedTranscript, { audioDuration: stored.metadata?.video_duration });
+    const updated = detectionHistory.addRun(stored, {
+      ...stored,
+      transcript,
+      processing_summary: summary,
+      provenance: {
+        ...stored.provenance,
+        ai_detection: {
+          cached: false,
+          ensemble: describeDetectors(detectors),
+          detectors: aiDetectors.summarizeDetectorOutcomes(processedTranscript.detection_windows || [])
+        }
+      }
+    }, { jobId, timestamp });
+    // Deleting the result cancels this job; one deleted some other way
+    // (another instance, a retention sweep) must not be written back either
+    jobQueue.throwIfCancelled(signal);
+    if (!(await storageBackends.readResult(resultId))) {
+      throw new Error(`Result ${resultId} was deleted while its AI detection was re-run`);
+    }
+    jobQueue.throwIfCancelled(signal);
+    await storageBackends.writeResult(resultId, updated);
+    // A new version restarts the result's retention period
+    await jobRegistry.markResultUpdated(resultId);
+
+    const version = updated.detection_version;
+    const previous = detectionHistory.findRun(updated, version - 1);
+    const current = detectionHistory.findRun(updated, version);
+    const result = {
+      job_id: jobId,
+      timestamp,
+      source: 'redetect',
+      result_id: resultId,
+      detection_version: version,
+      ensemble: current.ensemble,
+      summary: current.summary,
+      previous: { version: previous.version, ensemble: previous.ensemble, summary: previous.summary },
+      processing_time: jobRegistry.getStageTimings(jobRegistry.getJob(jobId)),
+      ...(owner && { owner }),
+      status: 'completed'
+    };
+    await storageBackends.writeResult(jobId, result);
+    await jobRegistry.completeJob(jobId);
+
+    console.log(`✅ Re-detection completed for result ${resultId}, now at version ${version}`);
+    console.log(`⚖️ Weighted AI probability: ${(previous.summary.weighted_ai_probability * 100).toFixed(1)}% -> ${(current.summary.weighted_ai_probability * 100).toFixed(1)}%, verdict ${previous.summary.verdict?.label} -> ${current.summary.verdict.label}`);
+
+    return result;
+
+  } catch (error) {
+    if (jobQueue.isCancelledError(error)) {
+      console.log(`🛑 Re-detection cancelled for job ${jobId}`);
+      await jobRegistry.cancelJob(jobId);
+      throw error;
+    }
+
+    console.error(`❌ Re-detection failed for job ${jobId}:`, error);
+
+    const errorResult = {
+      job_id: jobId,
+      timestamp,
+      source: 'redetect',
+      result_id: resultId,
+      ...(owner && { owner }),
+      status: 'failed',
+      error: error.message,
+      error_details: error.stack
+    };
+
+    await storageBackends.writeResult(jobId, errorResult);
+    await jobRegistry.failJob(jobId, error.message);
+    throw error;
+  }
+};
+
+// POST the final result, or an error summary, to the job's callback_url.
+// Cancelled jobs get no callback.
+const sendJobCallback = async (jobId) => {
+  const job = jobRegistry.getJob(jobId);
+  if (!job?.webhook || !jobRegistry.isFinished(job) || !['pending', 'retrying'].includes(job.webhook.status)) {
+    return;
+  }
+  if (job.status === 'cancelled') {
+    await jobRegistry.recordWebhookAttempt(jobId, null, 'skipped');
+    return;
+  }
+  
+  const payload = job.status === 'completed'
+    ? {
+      event: 'job.completed',
+      job_id: jobId,
+      status: 'completed',
+      result: await storageBackends.readResult(jobId)
+    }
+    : {
+      event: 'job.failed',
+      job_id: jobId,
+      status: 'failed',
+      error: job.error,
+      failed_stage: Object.keys(job.stages).find(name => job.stages[name].status === 'failed') || null,
+      finished_at: job.finished_at
+    };
+  
+  // Deliveries interrupted by a restart continue from where they stopped
+  const firstAttempt = job.webhook.attempts.length + 1;
+  if (firstAttempt > webhooks.WEBHOOK_MAX_ATTEMPTS) {
+    await jobRegistry.recordWebhookAttempt(jobId, null, 'failed');
+    return;
+  }
+  
+  const delivered = await webhooks.deliver(job.webhook.url, payload, {
+    firstAttempt,
+    onAttempt: (record, deliveryStatus) => jobRegistry.recordWebhookAttempt(jobId, record, deliveryStatus)
+  });
+  console.log(delivered
+    ? `📬 Callback delivered for job ${jobId}`
+    : `⚠️ Callback for job ${jobId} could not be delivered to ${job.webhook.url}`);
+};
+
+// Runs detached from the worker queue so a slow receiver never holds a slot
+const notifyCallback = (jobId) => {
+  sendJobCallback(jobId).catch(error => {
+    console.error(`Callback failed for job ${jobId}:`, error.message);
+  });
+};
+
+// Hand a registered job to the worker queue. Batches stay out of the queue:
+// they only wait on their children and would otherwise hold a worker slot
+// those children need.
+const enqueueAnalysis = (job) => {
+  if (job.type === 'batch') {
+    runBatch(job.job_id)
+      .catch(error => {
+        console.error(`Background batch failed for job ${job.job_id}:`, error.message);
+      })
+      .finally(() => notifyCallback(job.job_id));
+    return null;
+  }
+  return enqueuePipeline(job);
+};
+
+const enqueuePipeline = (job) => jobQueue.enqueue(job.job_id, (signal) => {
+  const options = {
+    signal,
+    transcriptionProvider: job.input.transcription_provider,
+    detectors: job.input.detectors,
+    language: job.input.language || null,
+    forceRefresh: Boolean(job.input.force_refresh)
+  };
+  let run;
+  if (job.type === 'redetect') {
+    run = runRedetection(job.job_id, options);
+  } else if (job.type === 'upload') {
+    run = runAnalysis(job.job_id, { type: 'upload', upload_path: job.input.upload_path, original_name: job.input.original_name }, options);
+  } else {
+    run = analyzeVideo(job.input.youtube_url, job.job_id, options);
+  }
+  return run.finally(() => notifyCallback(job.job_id));
+});
+
+// Cancel a batch and its unfinished videos; returns how many were stopped
+const cancelBatch = async (job) => {
+  const unfinished = job.children.filter(childId => !jobRegistry.isFinished(jobRegistry.getJob(childId)));
+  await jobRegistry.cancelJob(job.job_id);
+  for (const childId of unfinished) {
+    jobQueue.cancel(childId);
+    await jobRegistry.cancelJob(childId);
+  }
+  return unfinished.length;
+};
+
 // Routes
 app.get('/', (req, res) => {
   res.send(`
@@ -416,11 +1054,15 @@ app.get('/', (req, res) => {
         <style>
             body { font-family: Arial, sans-serif; max-width: 800px; margin: 50px auto; padding: 20px; }
             form { background: #f5f5f5; padding: 20px; border-radius: 8px; margin: 20px 0; }
-            input[type="url"] { width: 100%; padding: 10px; margin: 10px 0; box-sizing: border-box; }
+            input[type="url"], input[type="text"], input[type="password"] { width: 100%; padding: 10px; margin: 10px 0; box-sizing: border-box; }
             button { background: #007cba; color: white; padding: 10px 20px; border: none; border-radius: 4px; cursor: pointer; margin: 10px 0; }
             button:hover { background: #005a87; }
             .status { background: #e8f5e8; padding: 10px; border-radius: 4px; margin: 10px 0; }
             .features { background: #f0f8ff; padding: 15px; border-radius: 8px; margin: 20px 0; }
+            #live { display: none; background: #fafafa; padding: 15px; border-radius: 8px; margin: 20px 0; }
+            #live-progress { width: 100%; }
+            .segment { background: #eeeeee; padding: 6px 8px; margin: 4px 0; border-radius: 4px; }
+            .segment .meta { color: #555; font-size: 12px; }
         </style>
     </head>
     <body>
@@ -434,30 +1076,307 @@ app.get('/', (req, res) => {
             <ul>
                 <li>📸 <strong>Screenshot:</strong> Captures video thumbnail with Puppeteer</li>
                 <li>🎵 <strong>Audio:</strong> Downloads and converts to 16kHz WAV</li>
-                <li>🎙️ <strong>Transcription:</strong> ElevenLabs Scribe with word-level timestamps</li>
-                <li>🤖 <strong>AI Detection:</strong> GPTZero free API for each sentence</li>
+                <li>🎙️ <strong>Transcription:</strong> ElevenLabs Scribe or local whisper.cpp with word-level timestamps</li>
+                <li>🤖 <strong>AI Detection:</strong> Weighted ensemble of GPTZero and local detectors for each sentence</li>
                 <li>👥 <strong>Speaker Diarization:</strong> Identifies different speakers</li>
             </ul>
         </div>
         
-        <form action="/analyze" method="post">
+        <label for="api_key"><strong>API key</strong> (if the service requires one):</label>
+        <input type="password" id="api_key" autocomplete="off" />
+        
+        <form action="/analyze" method="post" class="live">
             <label for="youtube_url"><strong>Enter YouTube URL:</strong></label>
             <input type="url" id="youtube_url" name="youtube_url" required 
                    placeholder="https://www.youtube.com/watch?v=..." />
+            <label for="transcription_provider"><strong>Transcription provider:</strong></label>
+            <select id="transcription_provider" name="transcription_provider">
+                <option value="">Automatic</option>
+                <option value="elevenlabs">ElevenLabs Scribe</option>
+                <option value="whisper">Local whisper.cpp</option>
+            </select>
+            <label for="language"><strong>Language:</strong></label>
+            <input type="text" id="language" name="language" placeholder="auto, or a code such as en, de, es" />
+            <label><input type="checkbox" name="force_refresh" value="true" /> Ignore cached audio, transcript and detections</label><br>
             <button type="submit">🚀 Analyze Video</button>
         </form>
         
+        <form action="/analyze/upload" method="post" enctype="multipart/form-data" class="live">
+            <label for="file"><strong>Or upload a file (MP4, MP3, WAV, M4A):</strong></label>
+            <input type="file" id="file" name="file" accept=".mp4,.mp3,.wav,.m4a" required />
+            <button type="submit">📁 Analyze Upload</button>
+        </form>
+        
+        <form action="/analyze/batch" method="post">
+            <label for="batch_url"><strong>Or a playlist or channel URL:</strong></label>
+            <input type="url" id="batch_url" name="url" required 
+                   placeholder="https://www.youtube.com/playlist?list=..." />
+            <button type="submit">📚 Analyze Batch</button>
+        </form>
+        
+        <div id="live">
+            <h3>📺 Live Analysis</h3>
+            <p id="live-status">Submitting...</p>
+            <progress id="live-progress" max="100" value="0"></progress>
+            <p id="live-links"></p>
+            <div id="live-transcript"></div>
+        </div>
+        
         <div style="margin-top: 30px;">
             <h3>📡 API Endpoints:</h3>
             <p><strong>POST /analyze</strong> - Submit YouTube URL for analysis</p>
+            <p><strong>POST /analyze/upload</strong> - Upload an MP4/MP3/WAV/M4A file for analysis</p>
+            <p><strong>POST /analyze/batch</strong> - Analyze a playlist, a channel or a list of video URLs</p>
             <p><strong>GET /result/:id</strong> - Retrieve analysis results</p>
+            <p><strong>DELETE /result/:id</strong> - Delete a finished job with its result, audio, screenshot and frames</p>
+            <p><strong>GET /result/:id/transcript?format=srt|vtt|txt|html</strong> - Export the transcript as subtitles, text or highlighted HTML</p>
             <p><strong>GET /status/:id</strong> - Check analysis status</p>
+            <p><strong>DELETE /jobs/:id</strong> - Cancel a queued or running analysis</p>
+            <p><strong>GET /jobs/:id/events</strong> - Live Server-Sent Events stream of stages and scored segments</p>
+            <p><strong>GET /usage?days=7</strong> - Transcribed audio and detector calls per API key, and what is left of today's quota</p>
+            <p><strong>GET /storage</strong> - Disk usage per storage directory and the last cleanup sweep</p>
             <p><strong>GET /test-gptzero</strong> - Test GPTZero API access</p>
         </div>
         
         <div style="margin-top: 20px; padding: 10px; background: #fff3cd; border-radius: 4px;">
             <strong>💡 Tip:</strong> Try with a short video first (under 5 minutes) to see results quickly!
         </div>
+        
+        <script>
+            // Submit in the background and follow GET /jobs/:id/events, filling
+            // the transcript in as segments are scored
+            var live = document.getElementById('live');
+            var statusLine = document.getElementById('live-status');
+            var progressBar = document.getElementById('live-progress');
+            var links = document.getElementById('live-links');
+            var transcriptBox = document.getElementById('live-transcript');
+            var apiKeyInput = document.getElementById('api_key');
+            var stream = null;
+            var UNSCORED_CLASSIFICATIONS = ${JSON.stringify(aiDetectors.UNSCORED_CLASSIFICATIONS)};
+            
+            // The key only ever travels in a header, never in a URL
+            function keyHeaders() {
+                return apiKeyInput.value ? { 'X-API-Key': apiKeyInput.value } : {};
+            }
+            
+            function fetchWithKey(url) {
+                return fetch(url, { headers: keyHeaders() }).then(function (response) {
+                    if (!response.ok) {
+                        throw new Error('HTTP ' + response.status);
+                    }
+                    return response;
+                });
+            }
+            
+            // Links cannot send headers either: fetch the file and link to it
+            // as a blob
+            function downloadLink(label, url, filename) {
+                var link = document.createElement('a');
+                link.href = url;
+                link.textContent = label;
+                link.addEventListener('click', function (event) {
+                    if (link.href.indexOf('blob:') === 0) {
+                        return;
+                    }
+                    event.preventDefault();
+                    fetchWithKey(url)
+                        .then(function (response) { return response.blob(); })
+                        .then(function (blob) {
+                            link.href = URL.createObjectURL(blob);
+                            link.download = filename;
+                            link.click();
+                        })
+                        .catch(function (error) {
+                            setStatus('❌ ' + label + ': ' + error.message);
+                        });
+                });
+                return link;
+            }
+            
+            // EventSource cannot send headers, so the event stream is read
+            // with fetch. handlers[type](data) runs per event; after a dropped
+            // connection it reconnects with Last-Event-ID, as EventSource would.
+            function readEvents(url, handlers) {
+                var controller = new AbortController();
+                var lastEventId = null;
+                
+                function dispatch(frame) {
+                    var type = 'message';
+                    var data = [];
+                    frame.split('\\n').forEach(function (line) {
+                        var colon = line.indexOf(':');
+                        var field = colon === -1 ? line : line.slice(0, colon);
+                        var value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+                        if (field === 'event') {
+                            type = value;
+                        } else if (field === 'data') {
+                            data.push(value);
+                        } else if (field === 'id') {
+                            lastEventId = value;
+                        }
+                    });
+                    if (data.length && handlers[type]) {
+                        handlers[type](JSON.parse(data.join('\\n')));
+                    }
+                }
+                
+                function connect() {
+                    var headers = keyHeaders();
+                    if (lastEventId !== null) {
+                        headers['Last-Event-ID'] = lastEventId;
+                    }
+                    fetch(url, { headers: headers, signal: controller.signal })
+                        .then(function (response) {
+                            if (!response.ok) {
+                                throw new Error('HTTP ' + response.status);
+                            }
+                            var reader = response.body.getReader();
+                            var decoder = new TextDecoder();
+                            var buffer = '';
+                            function pump() {
+                                return reader.read().then(function (chunk) {
+                                    if (chunk.done) {
+                                        return;
+                                    }
+                                    buffer += decoder.decode(chunk.value, { stream: true });
+                                    var frames = buffer.split('\\n\\n');
+                                    buffer = frames.pop();
+                                    frames.forEach(dispatch);
+                                    return pump();
+                                });
+                            }
+                            return pump();
+                        })
+                        .then(function () {
+                            if (!controller.signal.aborted) {
+                                setTimeout(connect, 3000);
+                            }
+                        })
+                        .catch(function (error) {
+                            if (!controller.signal.aborted) {
+                                setStatus('❌ ' + error.message);
+                            }
+                        });
+                }
+                
+                connect();
+                return controller;
+            }
+            
+            function colour(p) {
+                return 'hsl(' + Math.round(120 * (1 - p)) + ', 70%, 85%)';
+            }
+            
+            function clock(seconds) {
+                var s = Math.floor(seconds || 0);
+                return Math.floor(s / 60) + ':' + String(s % 60).padStart(2, '0');
+            }
+            
+            function segmentElement(index) {
+                var el = document.getElementById('segment-' + index);
+                if (!el) {
+                    el = document.createElement('div');
+                    el.id = 'segment-' + index;
+                    el.className = 'segment';
+                    el.innerHTML = '<div class="meta"></div><div class="text"></div>';
+                    transcriptBox.appendChild(el);
+                }
+                return el;
+            }
+            
+            function renderSegment(index, segment) {
+                var el = segmentElement(index);
+                var meta = '[' + clock(segment.start) + '] ' + (segment.speaker || '');
+                var detection = segment.ai_detection;
+                if (detection && UNSCORED_CLASSIFICATIONS.indexOf(detection.classification) === -1) {
+                    el.style.background = colour(detection.ai_probability);
+                    meta += ' · AI ' + Math.round(detection.ai_probability * 100) + '%';
+                } else if (detection) {
+                    meta += ' · not scored';
+                }
+                el.querySelector('.meta').textContent = meta;
+                el.querySelector('.text').textContent = segment.text;
+            }
+            
+            function setStatus(text, progress) {
+                statusLine.textContent = text;
+                if (typeof progress === 'number') {
+                    progressBar.value = progress;
+                }
+            }
+            
+            function follow(jobId) {
+                if (stream) {
+                    stream.abort();
+                }
+                transcriptBox.innerHTML = '';
+                links.innerHTML = '';
+                stream = readEvents('/jobs/' + jobId + '/events', {
+                    snapshot: function (data) {
+                        setStatus('Job ' + jobId + ': ' + data.status + (data.current_stage ? ' (' + data.current_stage + ')' : ''), data.progress);
+                    },
+                    stage: function (data) {
+                        setStatus('Stage ' + data.stage + ': ' + data.status + (data.error ? ' - ' + data.error : ''), data.progress);
+                    },
+                    status: function (data) {
+                        setStatus('Job ' + data.status + (data.error ? ': ' + data.error : ''), data.progress);
+                    },
+                    transcript: function (data) {
+                        data.segments.forEach(function (segment, index) {
+                            renderSegment(index, segment);
+                        });
+                    },
+                    segment: function (data) {
+                        renderSegment(data.index, data);
+                        progressBar.value = Math.max(progressBar.value, 65 + Math.floor(35 * (data.index + 1) / data.total));
+                    },
+                    done: function (data) {
+                        stream.abort();
+                        setStatus('Job ' + data.status + (data.error ? ': ' + data.error : ''), data.status === 'completed' ? 100 : undefined);
+                        if (data.status === 'completed') {
+                            links.appendChild(downloadLink('JSON result', '/result/' + jobId, jobId + '.json'));
+                            ['srt', 'vtt', 'txt', 'html'].forEach(function (format) {
+                                links.appendChild(document.createTextNode(' · '));
+                                links.appendChild(downloadLink(format.toUpperCase(), '/result/' + jobId + '/transcript?format=' + format, jobId + '.' + format));
+                            });
+                            if (!transcriptBox.children.length) {
+                                fetchWithKey('/result/' + jobId).then(function (r) { return r.json(); }).then(function (result) {
+                                    (result.transcript && result.transcript.segments || []).forEach(function (segment, index) {
+                                        renderSegment(index, segment);
+                                    });
+                                });
+                            }
+                        }
+                    }
+                });
+            }
+            
+            document.querySelectorAll('form.live').forEach(function (form) {
+                form.addEventListener('submit', function (event) {
+                    event.preventDefault();
+                    live.style.display = 'block';
+                    setStatus('Submitting...', 0);
+                    var data = new FormData(form);
+                    var body = form.enctype === 'multipart/form-data' ? data : new URLSearchParams(data);
+                    fetch(form.action, { method: 'POST', body: body, headers: keyHeaders() })
+                        .then(function (response) {
+                            return response.json().then(function (json) {
+                                if (!response.ok) {
+                                    throw new Error(json.error || ('HTTP ' + response.status));
+                                }
+                                return json;
+                            });
+                        })
+                        .then(function (json) {
+                            setStatus('Job ' + json.job_id + ' queued', 0);
+                            follow(json.job_id);
+                        })
+                        .catch(function (error) {
+                            setStatus('❌ ' + error.message);
+                        });
+                });
+            });
+        </script>
     </body>
     </html>
   `);
@@ -483,9 +1402,67 @@ app.get('/test-gptzero', async (req, res) => {
   }
 });
 
+// Boolean request flags arrive as JSON booleans or as form strings
+const parseFlag = (value) => value === true || ['true', '1', 'on', 'yes'].includes(String(value).toLowerCase());
+
+// New work is turned away once the caller has used up today's audio quota;
+// returns an error message or null
+const quotaError = async (client) => {
+  const remaining = await usageTracker.remainingAudioSeconds(client);
+  return remaining === 0
+    ? `Daily audio quota of ${client.daily_audio_minutes} minutes used up for API key "${client.name}"; it resets at 00:00 UTC`
+    : null;
+};
+
+// Other clients' jobs are reported as not found rather than forbidden. Jobs
+// another instance ran are only known here by their stored result's owner.
+const canRead = async (req, jobId) => {
+  if (!apiKeys.isEnabled() || req.client?.admin) {
+    return true;
+  }
+  const job = jobRegistry.getJob(jobId) || await storageBackends.readResult(jobId).catch(() => null);
+  return apiKeys.canAccess(req.client, job);
+};
+
+// Check the optional transcription_provider/detectors/language/callback_url
+// request fields; returns an error message or null
+const validateAnalysisOptions = async ({ transcription_provider, detectors, language, callback_url }) => {
+  if (language && !languageId.isValidLanguageCode(language)) {
+    return 'language must be an ISO 639 code such as "en" or "de", or "auto"';
+  }
+  
+  if (callback_url) {
+    if (!webhooks.isValidCallbackUrl(callback_url)) {
+      return 'callback_url must be an http(s) URL on a public host (or one listed in WEBHOOK_ALLOWED_HOSTS)';
+    }
+    if (!webhooks.isConfigured()) {
+      return 'callback_url requires WEBHOOK_SECRET to be configured on the service';
+    }
+  }
+  
+  if (transcription_provider) {
+    try {
+      await transcriptionProviders.resolveProvider(transcription_provider);
+    } catch (error) {
+      return error.message;
+    }
+  }
+  
+  if (detectors) {
+    try {
+      aiDetectors.parseEnsemble(detectors);
+    } catch (error) {
+      return error.message;
+    }
+  }
+  
+  return null;
+};
+
 app.post('/analyze', async (req, res) => {
   try {
-    const { youtube_url } = req.body;
+    const { youtube_url, transcription_provider, detectors, language, callback_url } = req.body;
+    const forceRefresh = parseFlag(req.body.force_refresh);
     
     if (!youtube_url) {
       return res.status(400).json({ error: 'YouTube URL is required' });
@@ -499,22 +1476,177 @@ app.post('/analyze', async (req, res) => {
       return res.status(400).json({ error: 'YouTube video is not accessible or does not exist' });
     }
     
+    const optionsError = await validateAnalysisOptions(req.body);
+    if (optionsError) {
+      return res.status(400).json({ error: optionsError });
+    }
+    
+    const quotaExceeded = await quotaError(req.client);
+    if (quotaExceeded) {
+      return res.status(429).json({ error: quotaExceeded });
+    }
+    
     const jobId = uuidv4();
+    const job = await jobRegistry.createJob({
+      jobId,
+      type: 'youtube',
+      owner: req.client?.name || null,
+      input: {
+        youtube_url,
+        transcription_provider: transcription_provider || null,
+        detectors: detectors || null,
+        language: languageId.normalizeLanguage(language),
+        callback_url: callback_url || null,
+        force_refresh: forceRefresh
+      }
+    });
+    
+    // Process in background once a worker slot is free
+    const queuePosition = enqueueAnalysis(job);
     
     res.json({ 
       job_id: jobId, 
       status: 'processing',
-      message: `Analysis started with ElevenLabs + GPTZero free API. Use GET /result/${jobId} to check results.`,
+      queue_position: queuePosition,
+      message: `Analysis queued with ElevenLabs + GPTZero free API. Use GET /status/${jobId} to follow progress and GET /result/${jobId} to fetch results.`,
       estimated_time: '2-5 minutes depending on video length'
     });
     
-    // Process in background
-    analyzeVideo(youtube_url).catch(error => {
-      console.error(`Background analysis failed for job ${jobId}:`, error);
+  } catch (error) {
+    console.error('Analysis request error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Multer errors become 400/413 responses instead of reaching the generic handler
+const receiveUpload = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: `File exceeds the ${MAX_FILE_SIZE_MB} MB upload limit` });
+    }
+    if (error.code === 'UNSUPPORTED_FILE_TYPE' || error instanceof multer.MulterError) {
+      return res.status(400).json({ error: error.message });
+    }
+    next(error);
+  });
+};
+
+app.post('/analyze/upload', receiveUpload, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'A media file is required (field "file")' });
+    }
+    
+    const { transcription_provider, detectors, language, callback_url } = req.body;
+    const optionsError = await validateAnalysisOptions(req.body);
+    if (optionsError) {
+      await fs.unlink(req.file.path).catch(() => {});
+      return res.status(400).json({ error: optionsError });
+    }
+    
+    const quotaExceeded = await quotaError(req.client);
+    if (quotaExceeded) {
+      await fs.unlink(req.file.path).catch(() => {});
+      return res.status(429).json({ error: quotaExceeded });
+    }
+    
+    const jobId = uuidv4();
+    const job = await jobRegistry.createJob({
+      jobId,
+      type: 'upload',
+      owner: req.client?.name || null,
+      input: {
+        upload_path: req.file.path,
+        original_name: req.file.originalname,
+        transcription_provider: transcription_provider || null,
+        detectors: detectors || null,
+        language: languageId.normalizeLanguage(language),
+        callback_url: callback_url || null
+      }
+    });
+    
+    const queuePosition = enqueueAnalysis(job);
+    
+    res.json({
+      job_id: jobId,
+      status: 'processing',
+      queue_position: queuePosition,
+      message: `Upload queued for analysis. Use GET /status/${jobId} to follow progress and GET /result/${jobId} to fetch results.`,
+      estimated_time: '1-5 minutes depending on file length'
     });
     
   } catch (error) {
-    console.error('Analysis request error:', error);
+    console.error('Upload request error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/analyze/batch', async (req, res) => {
+  try {
+    const { url, youtube_urls, transcription_provider, detectors, language, callback_url } = req.body;
+    const forceRefresh = parseFlag(req.body.force_refresh);
+    let input;
+    
+    if (youtube_urls !== undefined) {
+      if (!Array.isArray(youtube_urls) || youtube_urls.length === 0) {
+        return res.status(400).json({ error: 'youtube_urls must be a non-empty array' });
+      }
+      if (youtube_urls.length > batchJobs.BATCH_MAX_VIDEOS) {
+        return res.status(400).json({ error: `A batch can contain at most ${batchJobs.BATCH_MAX_VIDEOS} videos` });
+      }
+      const invalidUrls = youtube_urls.filter(videoUrl => !validateYouTubeUrl(videoUrl) || !ytdl.validateURL(videoUrl));
+      if (invalidUrls.length > 0) {
+        return res.status(400).json({ error: 'Invalid YouTube URL format', invalid_urls: invalidUrls });
+      }
+      input = { collection_type: 'list', youtube_urls };
+    } else if (url) {
+      const collectionType = batchJobs.classifyCollectionUrl(url);
+      if (!collectionType) {
+        return res.status(400).json({ error: 'Expected a YouTube playlist or channel URL' });
+      }
+      input = { collection_type: collectionType, collection_url: url };
+    } else {
+      return res.status(400).json({ error: 'A playlist or channel url, or a youtube_urls list, is required' });
+    }
+    
+    const optionsError = await validateAnalysisOptions(req.body);
+    if (optionsError) {
+      return res.status(400).json({ error: optionsError });
+    }
+    
+    const quotaExceeded = await quotaError(req.client);
+    if (quotaExceeded) {
+      return res.status(429).json({ error: quotaExceeded });
+    }
+    
+    const jobId = uuidv4();
+    const job = await jobRegistry.createJob({
+      jobId,
+      type: 'batch',
+      owner: req.client?.name || null,
+      input: {
+        ...input,
+        transcription_provider: transcription_provider || null,
+        detectors: detectors || null,
+        language: languageId.normalizeLanguage(language),
+        callback_url: callback_url || null,
+        force_refresh: forceRefresh
+      }
+    });
+    
+    enqueueAnalysis(job);
+    
+    res.json({
+      job_id: jobId,
+      status: 'processing',
+      message: `Batch started, one analysis job per video. Use GET /status/${jobId} to follow progress and GET /result/${jobId} for the aggregate report.`
+    });
+    
+  } catch (error) {
+    console.error('Batch request error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
@@ -522,70 +1654,413 @@ app.post('/analyze', async (req, res) => {
 app.get('/result/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const resultPath = `./results/${id}.json`;
     
-    try {
-      const resultData = await fs.readFile(resultPath, 'utf8');
-      const result = JSON.parse(resultData);
-      res.json(result);
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        res.status(404).json({ error: 'Result not found' });
-      } else {
-        throw error;
-      }
+    if (!(await canRead(req, id))) {
+      return res.status(404).json({ error: 'Result not found' });
+    }
+    
+    const result = await storageBackends.readResult(id);
+    if (!result) {
+      return res.status(404).json({ error: 'Result not found' });
     }
+    res.json(result);
   } catch (error) {
     console.error('Result retrieval error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+// Job IDs are UUIDs; anything else could reach outside the results directory
+const JOB_ID_PATTERN = /^[\w-]+$/;
+
+app.delete('/result/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const job = jobRegistry.getJob(id);
+    
+    if (!JOB_ID_PATTERN.test(id) || !(await canRead(req, id))) {
+      return res.status(404).json({ error: 'Result not found' });
+    }
+    
+    if (job && !jobRegistry.isFinished(job)) {
+      return res.status(409).json({ error: `Job is ${job.status}; cancel it first with DELETE /jobs/${id}`, job_id: id, status: job.status });
+    }
+    
+    // A re-detection of this result is stopped before its files go, so it
+    // cannot write the result back
+    const redetection = activeRedetection(id);
+    if (redetection) {
+      jobQueue.cancel(redetection.job_id);
+      await jobRegistry.cancelJob(redetection.job_id);
+      notifyCallback(redetection.job_id);
+      await jobQueue.whenStopped(redetection.job_id);
+    }
+    
+    const removed = await retention.removeJob(job || { job_id: id });
+    if (removed.jobs === 0 && removed.files === 0) {
+      return res.status(404).json({ error: 'Result not found' });
+    }
+    
+    res.json({
+      job_id: id,
+      status: 'deleted',
+      jobs_removed: removed.jobs,
+      files_removed: removed.files,
+      freed_mb: Math.round(removed.bytes / (1024 * 1024) * 10) / 10
+    });
+  } catch (error) {
+    console.error('Result deletion error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/result/:id/transcript', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const format = (req.query.format || 'txt').toLowerCase();
+    
+    if (!transcriptExport.isKnownFormat(format)) {
+      return res.status(400).json({ error: `Unknown transcript format "${format}" (expected one of: ${Object.keys(transcriptExport.FORMATS).join(', ')})` });
+    }
+    
+    if (!(await canRead(req, id))) {
+      return res.status(404).json({ error: 'Result not found' });
+    }
+    
+    const result = await storageBackends.readResult(id);
+    if (!result) {
+      return res.status(404).json({ error: 'Result not found' });
+    }
+    
+    if (result.status !== 'completed' || !result.transcript) {
+      return res.status(409).json({ error: 'No transcript available for this result', status: result.status });
+    }
+    
+    const { contentType, extension, render } = transcriptExport.FORMATS[format];
+    res.set('Content-Type', contentType);
+    res.set('Content-Disposition', `inline; filename="${id}.${extension}"`);
+    res.send(render(result));
+  } catch (error) {
+    console.error('Transcript export error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Score a finished result's transcript again with another detector set, as
+// a job of its own; nothing is downloaded or transcribed again
+app.post('/result/:id/redetect', limiter, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { detectors, callback_url } = req.body;
+    
+    if (!JOB_ID_PATTERN.test(id) || !(await canRead(req, id))) {
+      return res.status(404).json({ error: 'Result not found' });
+    }
+    
+    const optionsError = await validateAnalysisOptions({ detectors, callback_url });
+    if (optionsError) {
+      return res.status(400).json({ error: optionsError });
+    }
+    
+    const stored = await storageBackends.readResult(id);
+    if (!stored) {
+      return res.status(404).json({ error: 'Result not found' });
+    }
+    if (stored.status !== 'completed' || !stored.transcript) {
+      return res.status(409).json({ error: 'No transcript available for this result', status: stored.status });
+    }
+    
+    // Runs on one result are versioned in order, one at a time
+    const running = activeRedetection(id);
+    if (running) {
+      return res.status(409).json({ error: `AI detection is already being re-run for this result by job ${running.job_id}`, job_id: running.job_id });
+    }
+    
+    const jobId = uuidv4();
+    const job = await jobRegistry.createJob({
+      jobId,
+      type: 'redetect',
+      owner: req.client?.name || null,
+      input: {
+        result_id: id,
+        detectors: detectors || null,
+        callback_url: callback_url || null
+      }
+    });
+    
+    const queuePosition = enqueueAnalysis(job);
+    
+    res.json({
+      job_id: jobId,
+      result_id: id,
+      status: 'processing',
+      queue_position: queuePosition,
+      detection_version: detectionHistory.currentVersion(stored) + 1,
+      message: `AI detection queued. Use GET /status/${jobId} to follow progress; GET /result/${id} carries the new scores and detection_history once it completes.`
+    });
+    
+  } catch (error) {
+    console.error('Re-detection request error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Server-Sent Events: a 'snapshot' of the job on connect, then 'stage',
+// 'status', 'transcript', 'segment' and finally 'done' events
+app.get('/jobs/:id/events', async (req, res) => {
+  const { id } = req.params;
+  const job = jobRegistry.getJob(id);
+  
+  if (!job || !(await canRead(req, id))) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  
+  let closed = false;
+  let unsubscribe = null;
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  
+  const close = () => {
+    if (closed) {
+      return;
+    }
+    closed = true;
+    clearInterval(heartbeat);
+    if (unsubscribe) {
+      unsubscribe();
+    }
+    res.end();
+  };
+  
+  const send = (event) => {
+    if (closed) {
+      return;
+    }
+    res.write(`${event.id ? `id: ${event.id}\n` : ''}event: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+    if (event.type === 'done') {
+      close();
+    }
+  };
+  
+  send({
+    type: 'snapshot',
+    data: {
+      job_id: id,
+      status: job.status,
+      progress: jobRegistry.getProgress(job),
+      current_stage: job.current_stage,
+      queue_position: jobQueue.getQueuePosition(id),
+      stages: job.stages
+    }
+  });
+  
+  const lastEventId = parseInt(req.get('Last-Event-ID'), 10) || 0;
+  unsubscribe = jobEvents.subscribe(id, lastEventId, send);
+  if (closed) {
+    unsubscribe();
+  }
+  
+  // Finished before this process buffered any of its events (e.g. before a restart)
+  if (!closed && jobRegistry.isFinished(job) && !jobEvents.hasFinished(id)) {
+    send({ type: 'done', data: { status: job.status, error: job.error } });
+  }
+  
+  req.on('close', close);
+});
+
+// Child job states of a batch, for GET /status/:id
+const countBatchVideos = (job) => {
+  const counts = { total: job.children.length, queued: 0, running: 0, completed: 0, failed: 0, cancelled: 0 };
+  for (const childId of job.children) {
+    const child = jobRegistry.getJob(childId);
+    if (child) {
+      counts[child.status]++;
+    }
+  }
+  return counts;
+};
+
 app.get('/status/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const resultPath = `./results/${id}.json`;
+    const job = jobRegistry.getJob(id);
     
-    try {
-      const resultData = await fs.readFile(resultPath, 'utf8');
-      const result = JSON.parse(resultData);
-      res.json({ 
-        job_id: id, 
-        status: result.status,
-        timestamp: result.timestamp,
-        progress: result.status === 'completed' ? 100 : 50
+    if (!(await canRead(req, id))) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    
+    if (job) {
+      const { segments_done, segments_total } = job.stages.ai_detection;
+      return res.json({
+        job_id: id,
+        status: job.status,
+        progress: jobRegistry.getProgress(job),
+        current_stage: job.current_stage,
+        segments: { done: segments_done, total: segments_total },
+        queue_position: jobQueue.getQueuePosition(id),
+        ...(job.batch_id && { batch_id: job.batch_id }),
+        ...(job.type === 'batch' && { videos: countBatchVideos(job) }),
+        ...(job.type === 'redetect' && { result_id: job.input.result_id }),
+        ...(job.webhook && { webhook: job.webhook }),
+        stages: job.stages,
+        created_at: job.created_at,
+        started_at: job.started_at,
+        finished_at: job.finished_at,
+        error: job.error
       });
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        res.json({ 
-          job_id: id, 
-          status: 'processing',
-          message: 'Analysis in progress...',
-          progress: 25
-        });
-      } else {
-        throw error;
-      }
     }
+    
+    // Results written before the job registry existed, or by another instance
+    const result = await storageBackends.readResult(id);
+    if (!result) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json({ 
+      job_id: id, 
+      status: result.status,
+      timestamp: result.timestamp,
+      progress: result.status === 'completed' ? 100 : 0
+    });
   } catch (error) {
     console.error('Status check error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Serve static files
-app.use('/screenshots', express.static('screenshots'));
-app.use('/audio', express.static('audio'));
+app.delete('/jobs/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const job = jobRegistry.getJob(id);
+    
+    if (!job || !(await canRead(req, id))) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    
+    if (jobRegistry.isFinished(job)) {
+      return res.status(409).json({ error: `Job already ${job.status}`, job_id: id, status: job.status });
+    }
+    
+    if (job.type === 'batch') {
+      const stopped = await cancelBatch(job);
+      notifyCallback(id);
+      return res.json({
+        job_id: id,
+        status: 'cancelled',
+        message: `Batch cancelled along with ${stopped} unfinished videos`
+      });
+    }
+    
+    const outcome = jobQueue.cancel(id);
+    await jobRegistry.cancelJob(id);
+    notifyCallback(id);
+    
+    res.json({
+      job_id: id,
+      status: 'cancelled',
+      message: outcome === 'aborted' ? 'Running analysis is being stopped' : 'Queued analysis removed'
+    });
+  } catch (error) {
+    console.error('Job cancellation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Artefacts are served from the storage backend, so any instance can answer
+// for any job; each one is named after (or filed under) its job ID
+const serveArtefact = (kind) => async (req, res) => {
+  try {
+    const key = `${kind}/${req.params[0]}`;
+    const first = req.params[0].split('/')[0];
+    if (!storageBackends.isValidKey(key) || !(await canRead(req, path.basename(first, path.extname(first))))) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+    await storageBackends.sendArtefact(key, req, res);
+  } catch (error) {
+    console.error('Artefact retrieval error:', error.message);
+    if (!res.headersSent) {
+      res.status(502).json({ error: 'Storage backend unavailable' });
+    }
+  }
+};
+app.get('/screenshots/*', serveArtefact('screenshots'));
+app.get('/audio/*', serveArtefact('audio'));
+app.get('/frames/*', serveArtefact('frames'));
+
+// Usage per API key: the caller's own, or every key's for admin keys
+const USAGE_MAX_DAYS = 90;
+
+app.get('/usage', async (req, res) => {
+  try {
+    const days = req.query.days === undefined ? 7 : Number(req.query.days);
+    if (!Number.isInteger(days) || days < 1 || days > USAGE_MAX_DAYS) {
+      return res.status(400).json({ error: `days must be a whole number from 1 to ${USAGE_MAX_DAYS}` });
+    }
+    
+    let clients = [req.client];
+    if (!apiKeys.isEnabled()) {
+      clients = [null];
+    } else if (req.client.admin) {
+      clients = apiKeys.listClients();
+    }
+    
+    const keys = [];
+    for (const client of clients) {
+      const usage = await usageTracker.getUsage(client?.name, { days });
+      keys.push({
+        key: client?.name || usageTracker.ANONYMOUS,
+        rate_limit: client ? client.rate_limit : apiKeys.RATE_LIMIT_MAX_REQUESTS,
+        rate_limit_window_ms: apiKeys.RATE_LIMIT_WINDOW_MS,
+        daily_audio_minutes: client?.daily_audio_minutes || null,
+        remaining_audio_seconds_today: await usageTracker.remainingAudioSeconds(client),
+        ...usage
+      });
+    }
+    
+    res.json({ days, keys });
+  } catch (error) {
+    console.error('Usage report error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Disk usage per storage root and the last cleanup sweep
+app.get('/storage', async (req, res) => {
+  try {
+    if (apiKeys.isEnabled() && !req.client.admin) {
+      return res.status(403).json({ error: 'An admin API key is required' });
+    }
+    res.json(await retention.getDiskUsage());
+  } catch (error) {
+    console.error('Storage report error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
 // Health check endpoint
-app.get('/health', (req, res) => {
+app.get('/health', async (req, res) => {
+  const transcription = await transcriptionProviders.getProviderStatus();
+  const detectors = await aiDetectors.getDetectorStatus();
   res.json({ 
     status: 'healthy', 
     timestamp: new Date().toISOString(),
     apis: {
-      elevenlabs: process.env.ELEVENLABS_API_KEY ? 'configured' : 'missing',
-      gptzero: 'free_api_available'
-    }
+      elevenlabs: transcription.elevenlabs,
+      whisper: transcription.whisper,
+      gptzero: detectors.gptzero.available ? 'free_api_available' : 'rate_limited'
+    },
+    ai_detectors: detectors,
+    ai_ensemble: process.env.AI_DETECTORS || aiDetectors.DEFAULT_ENSEMBLE,
+    circuit_breakers: httpClient.getCircuitStates(),
+    queue: jobQueue.getQueueStats(),
+    storage: storageBackends.getBackendStatus(),
+    disk: await retention.getDiskSpace()
   });
 });
 
@@ -603,6 +2078,14 @@ app.use((req, res) => {
 // Start server
 const startServer = async () => {
   await ensureDirectories();
+  const storage = storageBackends.checkBackend();
+  const keys = await apiKeys.loadKeys();
+  const recoveredJobs = await jobRegistry.loadJobs();
+  recoveredJobs.forEach(job => enqueueAnalysis(job));
+  retention.startSweeper();
+  jobRegistry.listJobs()
+    .filter(job => jobRegistry.isFinished(job) && ['pending', 'retrying'].includes(job.webhook?.status))
+    .forEach(job => notifyCallback(job.job_id));
   
   // Test GPTZero on startup
   console.log('🧪 Testing GPTZero free API access...');
@@ -613,7 +2096,11 @@ const startServer = async () => {
     console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
     console.log('API Configuration:');
     console.log('- ElevenLabs API:', process.env.ELEVENLABS_API_KEY ? '✅ Configured' : '❌ Missing');
+    console.log('- Local Whisper:', process.env.WHISPER_MODEL_PATH ? `✅ ${process.env.WHISPER_MODEL_PATH}` : '❌ WHISPER_MODEL_PATH not set');
     console.log('- GPTZero Free API:', gptzeroWorking ? '✅ Working' : '⚠️ Limited/Fallback');
+    console.log(`- Max concurrent jobs: ${jobQueue.MAX_CONCURRENT_JOBS}`);
+    console.log(`- Storage backend: ${storage.name}`);
+    console.log('- API keys:', keys.length > 0 ? `🔑 ${keys.length} configured` : '⚠️ None (API_KEYS_FILE not set, service is open)');
     console.log('');
     console.log('🌐 Test the service:');
     console.log(`- Web Interface: http://localhost:${PORT}`);
@@ -621,6 +2108,23 @@ const startServer = async () => {
   });
 };
 
-startServer().catch(console.error);
+// Only when run directly; cli.js and the tests load the module for its pipeline
+if (require.main === module) {
+  startServer().catch(console.error);
+}
 
 module.exports = app;
+Object.assign(module.exports, {
+  UPLOAD_EXTENSIONS,
+  ensureDirectories,
+  validateYouTubeUrl,
+  validateAnalysisOptions,
+  transcribeAudio,
+  detectAI,
+  processTranscript,
+  runAnalysis,
+  analyzeVideo,
+  runBatch,
+  runRedetection,
+  cancelBatch
+});